@@ -0,0 +1,3921 @@
+/**
+ * Simulation of Dungeon Coder: levels, game objects and the hero API. It uses no
+ * browser APIs, so it runs in the webview as well as headless in Node.
+ */
+const TILE_SIZE = 16;
+
+/**
+ * Parses a Tiled color property ("#AARRGGBB" or "#RRGGBB").
+ * @param {string} value The color as stored by Tiled.
+ * @returns {{r: number, g: number, b: number, a: number} | null} Color channels (alpha from 0 to 1) or null if invalid.
+ */
+function parseTiledColor(value) {
+    if (typeof value !== "string") {
+        return null;
+    }
+    const hex = value.replace("#", "");
+    if (!/^([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(hex)) {
+        return null;
+    }
+    const alpha = hex.length === 8 ? parseInt(hex.substring(0, 2), 16) / 255 : 1.0;
+    const rgb = hex.length === 8 ? hex.substring(2) : hex;
+    return {
+        r: parseInt(rgb.substring(0, 2), 16),
+        g: parseInt(rgb.substring(2, 4), 16),
+        b: parseInt(rgb.substring(4, 6), 16),
+        a: alpha
+    };
+}
+
+/**
+ * Parses a list of items as stored in the Tiled property "contains", e.g. "Key:gold, Coin".
+ * Each entry is the item type, optionally followed by a colon and the item name.
+ * @param {string} value The item list.
+ * @returns {Array<{type: string, name: string | null}>} The items.
+ */
+function parseItemList(value) {
+    if (typeof value !== "string") {
+        return [];
+    }
+    return value.split(/[,;]+/)
+        .map(entry => entry.trim())
+        .filter(entry => entry !== "")
+        .map(entry => {
+            const [type, name = ""] = entry.split(":").map(part => part.trim());
+            return { type: type, name: name !== "" ? name : null };
+        });
+}
+
+/**
+ * Error raised when an API command cannot be executed. The exception name is
+ * reported to the API client in the exception field of the response.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} exception Name of the exception, e.g. "CommandNotAllowed".
+     * @param {string} message Human readable description of the problem.
+     */
+    constructor(exception, message) {
+        super(message);
+        this.name = "ApiError";
+        this.exception = exception;
+    }
+}
+
+/**
+ * Minimal event emitter used to report what happens in the game to API clients.
+ */
+export class GameEvents {
+    constructor() {
+        this.listeners = [];
+    }
+
+    /**
+     * Registers a listener that is called with every emitted event.
+     * @param {function(Object): void} listener
+     */
+    on(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * @param {string} type Type of the event, e.g. "hero_move_started".
+     * @param {Object} data Additional event data.
+     */
+    emit(type, data = {}) {
+        const event = { type: type, timestamp: Date.now(), data: data };
+        for (const listener of this.listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Event listener failed for event "${type}": ${error}`);
+            }
+        }
+    }
+}
+
+class Tile {
+    constructor(setTileId, image, imageHeight, imageWidth, x, y, width, height, tileDescription) {
+        if (!tileDescription) {
+            tileDescription = {};
+        }
+        this.id = setTileId;            // tileset tile id (not global!)
+        this.image = image;             // image containing the tile
+        this.imageHeight = imageHeight; // total height of the image
+        this.imageWidth = imageWidth;   // total width of the image
+        this.x = x;                     // the tiles x-position in the image
+        this.y = y;                     // the tiles y-position in the image
+        this.x_offset = 0;              // drawing offset in pixels 
+        this.y_offset = 0;
+        this.width = width;             // tile width
+        this.height = height;           // tile height
+
+        const {
+            visible = true,
+            animation = [],
+            properties = []
+        } = tileDescription;
+
+        this.visible = visible;
+
+        if (tileDescription["class"]) {
+            this.type = tileDescription["class"];
+        } else {
+            this.type = "";
+        }
+        this.properties = properties;
+        this.animationDescription = animation;
+
+        const x_offset_property = this.getProperty("x_offset");
+        if (x_offset_property) {
+            this.x_offset = x_offset_property;
+        }
+
+        const y_offset_property = this.getProperty("y_offset");
+        if (y_offset_property) {
+            this.y_offset = y_offset_property;
+        }
+    }
+
+    getProperty(name) {
+        if (this.properties[name]) {
+            return this.properties[name];
+        }
+        return null;
+    }
+
+    hasAnimation() {
+        return (this.animationDescription?.length ?? 0) > 0;
+    }
+
+    /**
+     * Draws the tile onto a 2D rendering context.
+     * @param {CanvasRenderingContext2D} ctx The 2D rendering context of the canvas.
+     * @param {number} destX The X-coordinate (pixel) on the canvas to draw the tile.
+     * @param {number} destY The Y-coordinate (pixel) on the canvas to draw the tile.
+     * @param {number} [destWidth=this.width] The optional width to draw the tile (defaults to original tile width).
+     * @param {number} [destHeight=this.height] The optional height to draw the tile (defaults to original tile height).
+     */
+    draw(ctx, destX, destY, destWidth = this.width, destHeight = this.height) {
+        if (!this.visible)
+            return;
+        
+        destY -= this.height; // tiled coordinates are bottom left corner
+        ctx.drawImage(
+            this.image,
+            this.x,
+            this.y,
+            this.width,
+            this.height,
+            destX + this.x_offset,         
+            destY + this.y_offset,        
+            destWidth,  
+            destHeight  
+        );
+    }
+}
+
+class AnimationFrame {
+    constructor(tile, duration) {
+        this.tile = tile;
+        this.duration = duration;
+    }
+}
+
+class AnimatedTile {
+    constructor(width, height) {
+        this.animationFrames = [];
+        this.currentFrameIndex = 0;
+        this.timeSinceLastFrameChange = 0;
+        this.width = width;
+        this.height = height;
+    }
+
+    add(tile, duration) {
+        this.animationFrames.push(new AnimationFrame(tile, duration));
+    }
+
+    update(deltaTime) {
+        this.timeSinceLastFrameChange += deltaTime;
+        while (this.timeSinceLastFrameChange >= this.animationFrames[this.currentFrameIndex].duration) {
+            this.timeSinceLastFrameChange -= this.animationFrames[this.currentFrameIndex].duration;
+            this.currentFrameIndex++;
+            this.currentFrameIndex = this.currentFrameIndex % this.animationFrames.length;
+        }
+    }
+
+    getCurrentTile() {
+        return this.animationFrames[this.currentFrameIndex].tile;
+    }
+
+    draw(ctx, destX, destY, destWidth = this.width, destHeight = this.height) {
+        const tile = this.getCurrentTile();
+        destY -= this.height; // tiled coordinates are bottom left corner
+        ctx.drawImage(
+            tile.image,
+            tile.x,    
+            tile.y,    
+            tile.width,
+            tile.height,
+            destX + tile.x_offset,         
+            destY + tile.y_offset,     
+            destWidth,  
+            destHeight  
+        );
+    }
+
+    static create(tile, tileset) {
+        const animatedTile = new AnimatedTile(tile.width, tile.height);
+        for (const animation of tile.animationDescription) {
+            const {
+                tileid,
+                duration
+            } = animation;
+            animatedTile.add(tileset.getTileBySetTileId(tileid), duration);
+        }
+        return animatedTile;
+    }
+
+    getProperty(name) {
+        const tile = this.getCurrentTile();
+        return tile.getProperty(name);
+    }
+}
+
+export class Tileset {
+
+    constructor(jsonPath, tilesetDescription, loadedImage, firstgid) {
+        const {
+            columns,
+            image,
+            imageheight,
+            imagewidth,
+            margin,
+            name,
+            spacing,
+            tilecount,
+            tiledversion,
+            tileheight,
+            tiles = [],
+            tilewidth,
+            type,
+            version
+        } = tilesetDescription;
+
+        this.firstgid = firstgid;
+        this.source = jsonPath;
+        this.columns = columns;
+        this.image = loadedImage;
+        this.imageheight = imageheight;
+        this.imagewidth = imagewidth;
+        this.margin = margin;
+        this.name = name;
+        this.spacing = spacing;
+        this.tilecount = tilecount;
+        this.tiledversion = tiledversion;
+        this.tileheight = tileheight;
+        this.tilewidth = tilewidth;
+        this.type = type;
+        this.version = version;
+        
+        // Process the array with special tiles that have additional properties
+        // and create a map for easy lookup
+        this.tiles = new Map();
+        const tileDescriptions = new Map();
+        if (tiles) {
+            tiles.forEach((tile) => {
+                const tileDescription = {
+                    id: tile.id,
+                    class: tile.type || null,
+                    animation: tile.animation || null,
+                    properties: {},
+                };
+                if (tile.properties) {
+                    tile.properties.forEach((prop) => {
+                        tileDescription.properties[prop.name] = prop.value;
+                    });
+                }
+                tileDescriptions.set(tile.id, tileDescription);
+            });
+        }
+
+        // Create a tile for every tilecount, assigning special properties where they exist
+        for (let setTileId = 0; setTileId < this.tilecount; setTileId++) {
+            const tileDescription = tileDescriptions.get(setTileId);
+
+            // Calculate sourceX and sourceY based on tile grid position
+            const row = Math.floor(setTileId / this.columns);
+            const col = setTileId % this.columns;
+            const sourceX = this.margin + (col * (this.tilewidth + this.spacing));
+            const sourceY = this.margin + (row * (this.tileheight + this.spacing));
+
+            let tile = null;
+            tile = new Tile(setTileId, this.image, this.imageheight, this.imagewidth, sourceX, sourceY, this.tilewidth, this.tileheight, tileDescription);
+            this.tiles.set(setTileId, tile);
+        }
+    }
+
+    getTileByGlobalTileId(globalTileId) {
+        const tile = this.tiles.get(globalTileId - this.firstgid);
+        if (!tile) {
+            // global Tile ID zero is used for empty tiles, so no problem for that gid
+            if (globalTileId != 0) {
+                console.warn(`Tile with global tile id "${globalTileId}" was not found in tile factory.`);
+            }
+        }
+        
+        return tile;
+    }
+
+    getTileBySetTileId(setTileId) {
+        return this.tiles.get(setTileId);
+    }
+
+    getTileByTypeAndState(type, state) {
+        for (const tile of this.tiles.values()) {
+            if (tile.type === type) {
+                const tileState = tile.getProperty("state");
+                if (tileState === state)
+                    return tile;
+            }
+        }
+
+        return null;
+    }
+
+    has(tile) {
+        for (const cur_tile of this.tiles.values()) {
+            if (cur_tile === tile) {
+                    return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Loads a tileset referenced by a level.
+     * @param {string} jsonPath Path of the tileset as stored in the level, e.g. "../tilesets/tiles.json".
+     * @param {number} firstgid Global id of the first tile of the tileset in the level.
+     * @param {Object} assetLoader Reads the tileset files, see Simulation.
+     * @returns {Promise<Tileset | null>} The tileset or null if it could not be loaded.
+     */
+    static async create(jsonPath, firstgid = 1, assetLoader) {
+        const correctedPath = jsonPath.replace('..', 'assets');
+        const tileset_data = await assetLoader.loadJson(correctedPath);
+        if (!tileset_data) {
+            return null;
+        }
+
+        if (!tileset_data.image) {
+            console.error('Tileset data is missing the image path.');
+            return null;
+        }
+        const imageSource = tileset_data.image.replace('..', 'assets');
+        const tilesetImage = await assetLoader.loadImage(imageSource);
+
+        const tileset = new Tileset(jsonPath, tileset_data, tilesetImage, firstgid);
+
+        for (const [id, tile] of tileset.tiles) {
+            if (tile instanceof AnimatedTile) {
+                tile.initializeAnimations(tileset);
+            }
+        }
+
+        return tileset;
+    }
+}
+
+export class TileFactory {
+    constructor() {
+        this.tileLookup = new Map();
+        this.tilesets = [];
+        this.animatedTiles = [];
+    }
+
+    add(tileset) {
+        this.tilesets.push(tileset);
+    }
+
+    getTileByGlobalTileId(globalTileId) {
+        for (const tileset of this.tilesets) {
+            const tile = tileset.getTileByGlobalTileId(globalTileId);
+            if (tile) {
+                return tile;
+            }
+        }
+        return null;
+    }
+
+    getTilesetByGlobalTileId(globalTileId) {
+        for (const tileset of this.tilesets) {
+            const tile = tileset.getTileByGlobalTileId(globalTileId);
+            if (tile) {
+                return tileset;
+            }
+        }
+        return null;
+    }
+
+    getTilesetBySource(source) {
+        for (const tileset of this.tilesets) {
+            if (tileset.source === source) {
+                return tileset;
+            }
+        }
+        return null;
+    }
+
+    getTileByTypeAndState(type, state) {
+        for (const tileset of this.tilesets) {
+            const tile = tileset.getTileByTypeAndState(type, state);
+            if (tile) {
+                return tile;
+            }
+        }
+        return null;
+    }
+
+    getTilesetByTile(tile) {
+        for (const tileset of this.tilesets) {
+            if (tileset.has(tile)) {
+                return tileset;
+            }
+        }
+        return null;
+    }
+
+    getGlobalTileId(tile) {
+        const tileset = this.getTilesetByTile(tile);
+        return tileset ? tileset.firstgid + tile.id : null;
+    }
+
+    static async create(tilesetsDescription, assetLoader) {
+        const tileFactory = new TileFactory();  
+        const tilesetPromises = tilesetsDescription.map(ts => {
+            return Tileset.create(ts.source, ts.firstgid, assetLoader);
+        });
+        const loadedTilesets = await Promise.all(tilesetPromises);
+        loadedTilesets.forEach(tileset => {
+            tileFactory.add(tileset);
+        });
+        return tileFactory;
+    }
+}
+
+/**
+ * Base class for all level layers.
+ */
+class BaseLayer {
+    /**
+     * @param {Array<Object>} layerDescription Raw layer description from Tiled Level JSON
+     */
+    constructor(layerDescription) {
+        const {
+            height = 0,
+            id,
+            name = "",
+            opacity = 1,
+            properties = [],
+            type,
+            visible = true,
+            width = 0,
+            x = 0,
+            y = 0
+        } = layerDescription;
+
+        this.name = name;
+        this.id = id;
+        this.type = type;
+        this.opacity = opacity;
+        this.visible = visible;
+        this.properties = properties;
+        this.height = height;
+        this.width = width;
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Helper to get a boolean custom property with a default value.
+     * @param {string} name The name of the property.
+     * @param {boolean} defaultValue The default value if the property is not found or not boolean.
+     * @returns {boolean} The boolean value of the property.
+     */
+    getBooleanProperty(name, defaultValue = false) {
+        if (this.properties) {
+            const prop = this.properties.find(p => p.name === name);
+            if (prop && prop.type === 'bool') {
+                return prop.value;
+            }
+        }
+        return defaultValue;
+    }
+}
+
+/**
+ * Represents a tile layer in the level.
+ * Extends BaseLayer to include tile-specific properties.
+ */
+class TileLayer extends BaseLayer {
+    /**
+     * @param {Array<Object>} layerDescription Raw layer description from Tiled Level JSON
+     * @param {TileFactory} tileFactory Tile Factory that was generated from the Tiled Level JSON
+     */
+    constructor(layerDescription, tileFactory) {
+        super(layerDescription);
+
+        const  {
+            data,
+            width,
+            height
+        } = layerDescription;
+
+        this.rows = height;
+        this.cols = width;
+        this.tileMap = [];
+
+        for (let rowIndex = 0; rowIndex < this.rows; rowIndex++) {
+            this.tileMap[rowIndex] = [];
+            for (let colIndex = 0; colIndex < this.cols; colIndex++) {
+                this.tileMap[rowIndex][colIndex] = tileFactory.getTileByGlobalTileId(data[colIndex + (rowIndex * this.cols)]);
+            }
+        }
+    }
+
+    /**
+     * Gets the tile ID at a specific column and row.
+     * @param {number} row The row index (0-based).
+     * @param {number} col The column index (0-based).
+     * @returns {number | undefined} The tile ID, or undefined if out of bounds.
+     */
+    getTileAt(row, col) {
+        if (col < 0 || col >= this.width || row < 0 || row >= this.height) {
+            console.warn(`Accessing tile outside bounds: (${col}, ${row}) on layer "${this.name}"`);
+            return undefined; // Or throw an error
+        }
+        return this.tileMap[row][col];
+    }
+
+    replaceTile(col, row, newTile) {
+        this.tileMap[row][col] = newTile;
+    }
+
+    /**
+     * Draws the tile layer onto a 2D rendering context.
+     * @param {CanvasRenderingContext2D} ctx The 2D rendering context of the canvas.
+     */
+    draw(ctx, levelTileWidth, levelTileHeight) {
+        if (!this.visible || this.opacity <= 0) {
+            return;
+        }
+
+        ctx.globalAlpha = this.opacity;
+
+        this.tileMap.forEach((row, rowIndex) => {
+            row.forEach((tile, colIndex) => {
+                if (tile) {
+                    const destX = colIndex * levelTileWidth;
+                    const destY = rowIndex * levelTileHeight + levelTileHeight; // Compute tiled coordinates here, i.e. bottom left
+                    tile.draw(ctx, destX, destY);
+                }
+            });
+        });
+
+        ctx.globalAlpha = 1.0;
+    }
+}
+
+class ObjectLayer extends BaseLayer {
+    constructor(layerDescription, tileFactory, objectFactory) {
+        super(layerDescription);
+
+        const  {
+            draworder,
+            id,
+            name,
+            objects,
+            opacity,
+            type,
+            visible,
+            x,
+            y
+        } = layerDescription;
+
+        this.visible = visible;
+        this.objects = [];
+        this.shapes = [];  // objects without a tile, e.g. polylines of patrol paths
+        objects.forEach((objectDescription) => {
+            if (objectDescription.gid === undefined) {
+                this.shapes.push(objectDescription);
+                return;
+            }
+            this.objects.push(objectFactory.create(objectDescription, tileFactory));
+        });
+    }
+
+    update(deltaTime) {
+        this.objects.forEach((object) => {
+            object.update(deltaTime);
+        });
+    }
+
+    draw(ctx, levelTileWidth, levelTileHeight) {
+        if (this.visible) {
+            this.objects.forEach((object) =>  {
+                object.draw(ctx);
+            });
+        }
+    }
+}
+
+class GameObject {
+    static MAX_WIRING_DEPTH = 32;
+
+    /**
+     * @param {Array<Object>} objectDescription Raw object from Tiled Level JSON
+     * @param {TileFactory} tileFactory Tile Factory that was generated from the Tiled Level JSON
+     */
+    constructor(objectDescription, tileFactory, className = "", states = null) {
+        const {
+            gid, // Global Tile Id
+            height,
+            id,
+            name,
+            properties = [],
+            rotation,
+            state = "default",
+            type,
+            visible,
+            width,
+            x,
+            y
+        } = objectDescription;
+
+        let defaultTile = tileFactory.getTileByGlobalTileId(gid);
+        if (defaultTile.hasAnimation()) {
+            defaultTile = AnimatedTile.create(defaultTile, tileFactory.getTilesetByGlobalTileId(gid)); 
+        }
+
+        this.id = id;
+        this.tileMap = new Map();
+        this.tileMap.set(state, defaultTile);
+
+        if (states) {
+            states.forEach(state => {
+                let tile = tileFactory.getTileByTypeAndState(className, state);
+                if (!tile) {
+                    console.error(`Tile with type/class "${className}" and state "${state} not found!`)
+                }
+
+                if (tile.hasAnimation()) {
+                    tile = AnimatedTile.create(tile, tileFactory.getTilesetByTile(tile)); 
+                }
+                this.tileMap.set(state, tile);
+            });
+        }
+
+        this.events = null;  // set by the GameObjectFactory once the object is constructed
+        this.occupied = false;  // true while the hero stands on the object
+        this.tile = defaultTile;
+        if (this.tile.getProperty("state")) {
+            this.state = this.tile.getProperty("state");
+        }
+
+        this.properties = properties;
+        this.contents = parseItemList(this.getPropertyValue("contains", ""));  // items the object holds, e.g. a chest
+        this.name = name;
+        this.type = className;
+        this.visible = visible;
+        this.height = height;
+        this.width = width;
+        this.x = x;
+        this.y = y;
+
+        console.log(`Constructed game object of type "${this.type}" at location ("${this.x}", "${this.y}")`);
+    }
+
+    isCollision() {
+        const collision = this.tile.getProperty('collision');
+        if (!collision)
+            return false;
+        return collision;
+    }
+
+    update(deltaTime) {
+        if (this.tile instanceof AnimatedTile) {
+            this.tile.update(deltaTime);
+        }
+    }
+
+    setCurrentTile(tile) {
+        // TODO: this.tile.reset();
+        this.tile = tile;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        if (this.tileMap.has(state)) {
+            // TODO: tile.reset
+            const previousState = this.state;
+            this.tile = this.tileMap.get(state);
+            this.state = state;
+            if (previousState !== state) {
+                this.emitStateChange(previousState);
+            }
+        } else {
+            console.warn(`State "${state}" of object "${this.name}" not found.`)
+        }
+    }
+
+    emit(type, data) {
+        if (this.events) {
+            this.events.emit(type, data);
+        }
+    }
+
+    emitStateChange(previousState) {
+        this.emit("object_state_changed", {
+            id: this.id,
+            name: this.name,
+            objectType: this.type,
+            previousState: previousState,
+            state: this.state
+        });
+    }
+
+    getProperty(name) {
+        let property = this.properties.find(p => p.name === name);
+        if (!property) {
+            property = this.tile.getProperty(name);
+        }
+        return property;
+    }
+
+    /**
+     * Gets the value of a property of the object, falling back to the property of its tile.
+     * @param {string} name The name of the property.
+     * @param {*} [defaultValue=null] The value returned if the property is not set.
+     * @returns {*} The value of the property.
+     */
+    getPropertyValue(name, defaultValue = null) {
+        const objectProperty = this.properties.find(p => p.name === name);
+        if (objectProperty) {
+            return objectProperty.value;
+        }
+        const tileProperty = this.tile.getProperty(name);
+        if (tileProperty !== null && tileProperty !== undefined) {
+            return tileProperty;
+        }
+        return defaultValue;
+    }
+
+    isAtPosition(x, y) {            
+        if (x >= this.x && x < (this.x + this.width) &&
+            y >= (this.y - this.height) && y < this.y) {
+            return true;
+        }
+
+        return false;
+    }
+
+    draw(ctx, destX = this.x, destY = this.y, destWidth = this.width, destHeight = this.height) {
+        if (this.visible) {
+            this.tile.draw(ctx, destX, destY, destWidth, destHeight);
+        }
+    }
+
+    /**
+     * @param {Level} level The current level.
+     * @param {number} [depth=0] Length of the wiring chain if another object toggles this one, see signalChange().
+     */
+    interact(level, depth = 0) {
+        this.signalChange(level, true, depth);
+    }
+
+    /**
+     * Whether the items in the object can be taken, e.g. because a chest is open.
+     * @returns {boolean} True if the contents are accessible.
+     */
+    canTakeContents() {
+        return false;
+    }
+
+    /**
+     * Removes all accessible items from the object.
+     * @returns {Array<{type: string, name: string | null}>} The items, empty if there are none or they are not accessible.
+     */
+    takeContents() {
+        if (!this.canTakeContents()) {
+            return [];
+        }
+        const items = this.contents;
+        this.contents = [];
+        return items;
+    }
+
+    /**
+     * Gives all accessible items of the object to the character.
+     * @param {Character} character The character receiving the items.
+     * @returns {Array<{type: string, name: string | null}>} The items handed over.
+     */
+    handOverContents(character) {
+        const items = this.takeContents();
+        items.forEach(item => character.addItem(item));
+        return items;
+    }
+
+    /**
+     * Gets the IDs of the objects this object controls. The property "controls" is either
+     * an object reference or a string with a list of IDs, e.g. "9, 16".
+     * @returns {Array<number>} The controlled object IDs.
+     */
+    getControlledIds() {
+        const controls = this.getPropertyValue("controls", null);
+        if (typeof controls === "number") {
+            return controls > 0 ? [controls] : [];
+        }
+        if (typeof controls === "string") {
+            return controls.split(/[\s,;]+/).filter(id => id !== "").map(Number).filter(id => !Number.isNaN(id));
+        }
+        return [];
+    }
+
+    /**
+     * Whether the object is in its active state, e.g. a switch pointing right or an open door.
+     * @returns {boolean} True if the object is active.
+     */
+    isActive() {
+        return false;
+    }
+
+    /**
+     * Signal of the object used as input of logic gates. Objects with the property
+     * trigger = "enter" send a signal while the hero stands on them, all other objects
+     * while they are active.
+     * @returns {boolean} The signal.
+     */
+    getSignal() {
+        if (this.getPropertyValue("trigger", null) === "enter") {
+            return this.occupied;
+        }
+        return this.isActive();
+    }
+
+    /**
+     * Puts the object into its active or inactive state, e.g. opens or closes a door.
+     * @param {boolean} active The new state.
+     */
+    setActive(active) {
+    }
+
+    /**
+     * Informs all controlled objects that this object changed.
+     * @param {Level} level The current level.
+     * @param {boolean} [toggle=true] Whether targets without logic gate are toggled by this change.
+     * @param {number} [depth=0] Length of the wiring chain so far, used to stop circular wiring.
+     */
+    signalChange(level, toggle = true, depth = 0) {
+        if (depth > GameObject.MAX_WIRING_DEPTH) {
+            console.warn(`Wiring of object "${this.id}" is too deep or circular. Signal stopped.`);
+            return;
+        }
+
+        for (const id of this.getControlledIds()) {
+            const object = level.getObjectById(id);
+            if (!object) {
+                console.warn(`Object with ID "${id}" not found.`);
+                continue;
+            }
+
+            if (object.getLogic()) {
+                object.updateFromInputs(level, depth + 1);
+            } else if (toggle) {
+                if (typeof object.interact === 'function') {
+                    object.interact(level, depth + 1);
+                } else {
+                    console.log(`Error: the GameObject cannot interact with the object with ID "${id}.`)
+                }
+            }
+        }
+    }
+
+    /**
+     * @returns {string | null} The logic gate of the object ("AND", "OR" or "XOR"), set by the property "logic".
+     */
+    getLogic() {
+        const logic = this.getPropertyValue("logic", null);
+        return (typeof logic === "string" && logic.trim() !== "") ? logic.trim().toUpperCase() : null;
+    }
+
+    /**
+     * Evaluates the logic gate over all objects controlling this object and applies the result.
+     * The property "invert" negates the result of the gate.
+     * @param {Level} level The current level.
+     * @param {number} [depth=0] Length of the wiring chain so far.
+     */
+    updateFromInputs(level, depth = 0) {
+        const inputs = level.getObjectsControlling(this).map(object => object.getSignal());
+        let active = GameObject.evaluateLogic(this.getLogic(), inputs);
+        if (this.getPropertyValue("invert", false) === true) {
+            active = !active;
+        }
+
+        if (active !== this.isActive()) {
+            this.setActive(active);
+            this.signalChange(level, true, depth);
+        }
+    }
+
+    static evaluateLogic(logic, inputs) {
+        switch (logic) {
+            case "AND":
+            case "ALL":
+                return inputs.length > 0 && inputs.every(input => input);
+            case "OR":
+            case "ANY":
+                return inputs.some(input => input);
+            case "XOR":
+                return inputs.filter(input => input).length % 2 === 1;
+            default:
+                console.warn(`Unknown logic "${logic}". Use AND, OR or XOR.`);
+                return false;
+        }
+    }
+
+    /**
+     * Called when the hero finishes a step onto the tile of this object.
+     */
+    onEnter(level, character) {
+        if (this.getPropertyValue("trigger", null) === "enter") {
+            this.occupied = true;
+            this.signalChange(level, true);
+        }
+    }
+
+    /**
+     * Called when the hero leaves the tile of this object.
+     */
+    onLeave(level, character) {
+        if (this.getPropertyValue("trigger", null) === "enter") {
+            this.occupied = false;
+            this.signalChange(level, false);
+        }
+    }
+
+    /**
+     * Called after every action of the hero, e.g. to advance objects in turn based levels.
+     */
+    onHeroAction(level) {
+    }
+}
+
+class Torch extends GameObject {
+    static STATES = ["burning", "off"]; // Add all states here
+    static DEFAULT_LIGHT_RADIUS = 4;           // in tiles
+    static DEFAULT_LIGHT_COLOR = "#ffb060";
+    static FLICKER_PATTERN = [1.0, 0.94, 0.98, 0.91]; // light intensity per animation frame
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory, Torch.name, Torch.STATES);
+    }
+
+    isBurning() {
+        return this.getState() === "burning";
+    }
+
+    isOff() {
+        return this.getState() === "off";
+    }
+
+    isActive() {
+        return this.isBurning();
+    }
+
+    setActive(active) {
+        active ? this.on() : this.off();
+    }
+
+    interact(level, depth = 0) {
+        this.toggleState();
+        super.interact(level, depth);
+    }
+
+    toggleState() {
+        if (this.isBurning()) {
+            this.off();
+        } else {
+            this.on();
+        }
+    }
+
+    on() {
+        this.setState("burning");
+    }
+
+    off() {
+        this.setState("off");
+    }
+
+    /**
+     * Intensity of the light, following the frames of the torch animation. A frame can
+     * define its own intensity with the tile property "light_intensity".
+     * @returns {number} Factor for the light radius.
+     */
+    getLightIntensity() {
+        if (!(this.tile instanceof AnimatedTile)) {
+            return 1.0;
+        }
+        const frameIntensity = this.tile.getProperty("light_intensity");
+        if (typeof frameIntensity === "number") {
+            return frameIntensity;
+        }
+        return Torch.FLICKER_PATTERN[this.tile.currentFrameIndex % Torch.FLICKER_PATTERN.length];
+    }
+
+    /**
+     * Light emitted by the torch, configured with the properties "light_radius" (in tiles)
+     * and "light_color".
+     * @param {Level} level The level the torch is placed in.
+     * @returns {{x: number, y: number, radius: number, color: Object, intensity: number}} Light in pixel coordinates.
+     */
+    getLight(level) {
+        const radius = this.getPropertyValue("light_radius", Torch.DEFAULT_LIGHT_RADIUS);
+        const color = parseTiledColor(this.getPropertyValue("light_color", Torch.DEFAULT_LIGHT_COLOR))
+            ?? parseTiledColor(Torch.DEFAULT_LIGHT_COLOR);
+        return {
+            x: this.x + this.width / 2,
+            y: this.y - this.height / 2,
+            radius: radius * level.tileWidth,
+            color: color,
+            intensity: this.getLightIntensity()
+        };
+    }
+}
+
+class TwoWaySwitch extends GameObject {
+    static STATES = ["left", "right"];
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory, "Switch", TwoWaySwitch.STATES);
+    }
+
+    isLeft() {
+        return this.getState() === "left";
+    }
+
+    isRight() {
+        return this.getState() === "right";
+    }
+
+    isActive() {
+        return this.isRight();
+    }
+
+    setActive(active) {
+        active ? this.right() : this.left();
+    }
+
+    toggleState() {
+        if (this.isLeft()) {
+            this.right();
+        } else {
+            this.left();
+        }
+    }
+
+    interact(level, depth = 0) {
+        this.toggleState();
+        super.interact(level, depth);
+    }
+
+    left() {
+        this.setState("left");
+    }
+
+    right() {
+        this.setState("right");
+    }
+}
+
+class Door extends GameObject {
+    static STATES = ["open", "closed"];
+
+    constructor(objectDescription, tileFactory, name=Door.name, states=Door.STATES) {
+        super(objectDescription, tileFactory, name, states);
+    }
+
+    isOpen() {
+        return this.getState() === "open";
+    }
+
+    isActive() {
+        return this.isOpen();
+    }
+
+    setActive(active) {
+        active ? this.open() : this.close();
+    }
+
+    toggleState() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    interact(level) {
+        this.toggleState();
+    }
+
+    open() {
+        this.setState("open");
+    }
+
+    close() {
+        this.setState("closed");
+    }
+}
+
+class VerticalDoor extends Door {
+    constructor(objectDescription, tileFactory, name=VerticalDoor.name) {
+        super(objectDescription, tileFactory, name);
+    }
+}
+
+class Grille extends Door {
+    constructor(objectDescription, tileFactory, name=Grille.name) {
+        super(objectDescription, tileFactory, name);
+    }
+}
+
+class VerticalGrille extends Door {
+    constructor(objectDescription, tileFactory, name=VerticalGrille.name) {
+        super(objectDescription, tileFactory, name);
+    }
+}
+
+/**
+ * Door that is locked until the hero interacts with it while carrying the matching key.
+ * The property "key" names the key, doors without this property accept any key.
+ * Once unlocked the door opens and closes like a normal door.
+ */
+class LockedDoor extends Door {
+    static STATES = ["locked", "closed", "open"];
+
+    constructor(objectDescription, tileFactory, name=LockedDoor.name) {
+        super(objectDescription, tileFactory, name, LockedDoor.STATES);
+    }
+
+    isLocked() {
+        return this.getState() === "locked";
+    }
+
+    getKeyName() {
+        return this.getPropertyValue("key", null);
+    }
+
+    interact(level) {
+        if (!this.isLocked()) {
+            return super.interact(level);
+        }
+
+        const character = level.character;
+        if (!character || !character.hasItem(Key.name, this.getKeyName())) {
+            console.log(`The door "${this.name}" is locked.`);
+            return false;
+        }
+        this.open();
+    }
+}
+
+class Chest extends GameObject {
+    static STATES = ["open", "closed"];
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory, Chest.name, Chest.STATES);
+    }
+
+    isOpen() {
+        return this.getState() === "open";
+    }
+
+    isActive() {
+        return this.isOpen();
+    }
+
+    setActive(active) {
+        active ? this.open() : this.close();
+    }
+
+    toggleState() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    canTakeContents() {
+        return this.isOpen();
+    }
+
+    interact(level) {
+        this.toggleState();
+        if (level.character) {
+            this.handOverContents(level.character);
+        }
+    }
+
+    open() {
+        this.setState("open");
+    }
+
+    close() {
+        this.setState("closed");
+    }
+}
+
+class Jug extends GameObject {
+    static STATES = ["unbroken", "broken"];
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory, Jug.name, Jug.STATES);
+    }
+
+    isBroken() {
+        return this.getState() === "broken";
+    }
+
+    isActive() {
+        return this.isBroken();
+    }
+
+    setActive(active) {
+        if (active) {
+            this.break(); // cannot repair
+        }
+    }
+
+    toggleState() {
+        if (!this.isBroken()) {
+            this.break();
+        } else {
+            // cannot repair
+        }
+    }
+
+    canTakeContents() {
+        return this.isBroken();
+    }
+
+    interact(level) {
+        this.toggleState();
+        if (level.character) {
+            this.handOverContents(level.character);
+        }
+    }
+
+    break() {
+        this.setState("broken");
+    }
+}
+
+class Goal extends GameObject {
+    static STATES = ["default"];
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory, Goal.name, Goal.STATES);
+    }
+
+    interact(level) {
+    }
+}
+
+/**
+ * Floor plate that is pressed while the hero stands on it. Pressing and releasing
+ * the plate signals the objects in its property "controls".
+ */
+class PressurePlate extends GameObject {
+    static STATES = ["released", "pressed"];
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory, PressurePlate.name, PressurePlate.STATES);
+    }
+
+    isPressed() {
+        return this.getState() === "pressed";
+    }
+
+    isActive() {
+        return this.isPressed();
+    }
+
+    interact(level) {
+    }
+
+    onEnter(level, character) {
+        this.occupied = true;
+        this.setState("pressed");
+        this.signalChange(level, true);
+    }
+
+    onLeave(level, character) {
+        this.occupied = false;
+        this.setState("released");
+        this.signalChange(level, false);
+    }
+}
+
+/**
+ * Item lying on the floor. The hero takes it with pick_up or by interacting with it.
+ * The item type is the class of the object, the item name is the name of the object.
+ */
+class Item extends GameObject {
+    static STATES = ["default"];
+
+    constructor(objectDescription, tileFactory, name=Item.name) {
+        super(objectDescription, tileFactory, name, Item.STATES);
+    }
+
+    /**
+     * @returns {{type: string, name: string | null}} The item the hero gets when taking the object.
+     */
+    getItem() {
+        return { type: this.type, name: this.name || null };
+    }
+
+    interact(level) {
+        if (!level.character) {
+            return false;
+        }
+        level.character.addItem(this.getItem());
+        level.removeObject(this);
+    }
+}
+
+/**
+ * Key that opens locked doors. The key is named by the property "key" or,
+ * if not set, by the name of the object.
+ */
+class Key extends Item {
+    constructor(objectDescription, tileFactory, name=Key.name) {
+        super(objectDescription, tileFactory, name);
+    }
+
+    getItem() {
+        return { type: this.type, name: this.getPropertyValue("key", this.name || null) };
+    }
+}
+
+class Coin extends Item {
+    constructor(objectDescription, tileFactory, name=Coin.name) {
+        super(objectDescription, tileFactory, name);
+    }
+}
+
+/**
+ * Base class of objects that kill the hero when it stands on them while they are dangerous.
+ */
+class Hazard extends GameObject {
+    /**
+     * @returns {boolean} True if the hazard kills a hero standing on it.
+     */
+    isDangerous() {
+        return true;
+    }
+
+    interact(level) {
+    }
+
+    onEnter(level, character) {
+        super.onEnter(level, character);
+        if (this.isDangerous()) {
+            level.killCharacter(this);
+        }
+    }
+}
+
+/**
+ * Spikes that come out and retract again after the time in ms set by the property
+ * "interval" (default 2000). An interval of 0 keeps the spikes in their state until
+ * they are switched by another object. With the property "interval_turns" the spikes
+ * switch after this number of hero actions instead.
+ */
+class Spikes extends Hazard {
+    static STATES = ["retracted", "extended"];
+    static DEFAULT_INTERVAL = 2000;
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory, Spikes.name, Spikes.STATES);
+        this.elapsedTime = 0;
+        this.elapsedTurns = 0;
+    }
+
+    isExtended() {
+        return this.getState() === "extended";
+    }
+
+    isDangerous() {
+        return this.isExtended();
+    }
+
+    isActive() {
+        return this.isExtended();
+    }
+
+    setActive(active) {
+        this.setState(active ? "extended" : "retracted");
+    }
+
+    toggleState() {
+        this.setActive(!this.isExtended());
+        this.elapsedTime = 0;
+        this.elapsedTurns = 0;
+    }
+
+    getTurnInterval() {
+        return this.getPropertyValue("interval_turns", 0);
+    }
+
+    onHeroAction(level) {
+        const turns = this.getTurnInterval();
+        if (turns > 0) {
+            this.elapsedTurns += 1;
+            if (this.elapsedTurns >= turns) {
+                this.toggleState();
+            }
+        }
+    }
+
+    interact(level) {
+        this.toggleState();
+    }
+
+    update(deltaTime) {
+        const interval = this.getPropertyValue("interval", Spikes.DEFAULT_INTERVAL);
+        if (interval > 0 && this.getTurnInterval() <= 0) {
+            this.elapsedTime += deltaTime;
+            if (this.elapsedTime >= interval) {
+                this.toggleState();
+            }
+        }
+        super.update(deltaTime);
+    }
+}
+
+class Pit extends Hazard {
+    static STATES = ["default"];
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory, Pit.name, Pit.STATES);
+    }
+}
+
+/**
+ * Fire that burns until it is put out by another object, e.g. a switch.
+ */
+class Fire extends Hazard {
+    static STATES = ["burning", "off"];
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory, Fire.name, Fire.STATES);
+    }
+
+    isBurning() {
+        return this.getState() === "burning";
+    }
+
+    isDangerous() {
+        return this.isBurning();
+    }
+
+    isActive() {
+        return this.isBurning();
+    }
+
+    setActive(active) {
+        this.setState(active ? "burning" : "off");
+    }
+
+    interact(level) {
+        this.setActive(!this.isBurning());
+    }
+}
+
+export class Character extends GameObject {
+    static STATES = ["walking", "standing"];
+    static DIRECTIONS = ["south", "east", "north", "west"];
+    static RELATIVE_DIRECTIONS = new Map([  // number of left turns for each direction relative to the character
+        ["front", 0],
+        ["left", 1],
+        ["back", 2],
+        ["right", -1]
+    ]);
+
+    static generateCombinedStrings(array1, array2) {
+        const combined = [];
+        for (var i = 0; i < 15; i++) {
+            for (const item1 of array1) {
+                for (const item2 of array2) {
+                    combined.push(`${item1}_${item2}_${i}`);
+                }
+            }
+        }
+        return combined;
+    }
+
+    getDirection() {
+        const parts = this.state.split('_');
+        return parts[1]; 
+    }
+
+    getState() {
+        const parts = this.state.split('_');
+        return parts[0]; 
+    }
+
+    emitStateChange(previousState) {
+        // Movement is reported by move() and update(), only direction changes are reported here
+        const previousDirection = previousState ? previousState.split('_')[1] : null;
+        if (previousDirection !== this.getDirection()) {
+            this.emit("hero_turned", {
+                previousDirection: previousDirection,
+                direction: this.getDirection()
+            });
+        }
+    }
+
+    constructor(objectDescription, tileFactory) {
+        const all_states = Character.generateCombinedStrings(Character.STATES, Character.DIRECTIONS);
+        super(objectDescription, tileFactory, Character.name, all_states);
+        // Movement Properties. A move changes x and y at once, the sprite follows
+        // at renderX and renderY during the playback of the move.
+        this.renderX = this.x;        // Pixel x-coordinate the character is drawn at
+        this.renderY = this.y;        // Pixel y-coordinate the character is drawn at
+        this.currentMoveStartX = this.x;
+        this.currentMoveStartY = this.y;
+        this.movementProgress = 0;    // Time in ms the playback of the current move has been running
+        this.moveDuration = 1000 / 2; // Duration in ms to move one tile
+        this.inventory = [];          // Items carried by the character, e.g. keys
+        this.causeOfDeath = null;     // Type of the hazard that killed the character
+        this.setName("Alina");
+        this.setTypeNumber(7);
+    }
+
+    setName(name) {
+        this.heroName = name;
+        return true;
+    }
+
+    setTypeNumber(typeNumber) {
+        var success = true;
+        if (typeNumber > 0 && typeNumber <= 15) {
+            this.typeNumber = typeNumber;
+            this.setStateAndDirection(this.getState(), this.getDirection());
+        } else {
+            console.log("Error: type number is out of range. It must be a value from 0 to 15.");
+            success = false;
+        }
+        return success;
+    }
+
+    /**
+     * @returns {Tile | AnimatedTile} The character standing and facing south in its type, e.g. for a portrait.
+     */
+    getPortraitTile() {
+        return this.tileMap.get(`standing_south_${this.typeNumber}`) ?? this.tile;
+    }
+
+    isMoving() {
+        return this.getState() === "walking";
+    }
+
+    /**
+     * @returns {boolean} True if the character moves in turns with the hero's actions.
+     */
+    isTurnBased() {
+        return true;
+    }
+
+    isDead() {
+        return this.causeOfDeath !== null;
+    }
+
+    /**
+     * @param {string} cause The type of the hazard that killed the character, e.g. "Spikes".
+     */
+    die(cause) {
+        if (this.isDead()) {
+            return;
+        }
+        this.causeOfDeath = cause;
+        this.emit("hero_died", { cause: cause });
+    }
+
+    /**
+     * @param {{type: string, name: string | null}} item The item the character takes.
+     */
+    addItem(item) {
+        this.inventory.push(item);
+        this.emit("hero_item_added", { type: item.type, name: item.name });
+    }
+
+    /**
+     * Finds a carried item.
+     * @param {string | null} [type=null] The item type. Null selects the item taken last.
+     * @param {string | null} [name=null] The item name. Null matches any item of the type.
+     * @returns {{type: string, name: string | null} | null} The item or null if no item matches.
+     */
+    findItem(type = null, name = null) {
+        if (type === null) {
+            return this.inventory.at(-1) ?? null;
+        }
+        return this.inventory.find(item => item.type === type && (name === null || item.name === name)) ?? null;
+    }
+
+    /**
+     * @param {{type: string, name: string | null}} item A carried item, see findItem().
+     */
+    removeItem(item) {
+        const index = this.inventory.indexOf(item);
+        if (index >= 0) {
+            this.inventory.splice(index, 1);
+            this.emit("hero_item_removed", { type: item.type, name: item.name });
+        }
+    }
+
+    /**
+     * Checks if the character carries an item.
+     * @param {string} type The item type, e.g. "Key".
+     * @param {string | null} [name=null] The item name. Null matches any item of the type.
+     * @returns {boolean} True if a matching item is carried.
+     */
+    hasItem(type, name = null) {
+        return this.findItem(type, name) !== null;
+    }
+
+    setPosition(x, y) {
+        this.x = x;
+        this.y = y;
+        this.renderX = x;
+        this.renderY = y;
+        this.currentMoveStartX = x;
+        this.currentMoveStartY = y;
+        this.movementProgress = 0;
+    }
+
+    /**
+     * Ends the playback of the current move at once.
+     */
+    finishMovement() {
+        if (this.isMoving()) {
+            this.movementProgress = this.moveDuration;
+            this.update(0);
+        }
+    }
+
+    isFacingNorth() {
+        return this.getDirection() === "north";
+    }
+
+    turnLeft() {
+        this.finishMovement();
+        const direction = this.getDirection();
+        const state = this.getState();
+    
+        let newDirection = "north";
+        switch (direction) {
+            case "north":
+                newDirection = "west";
+                break;
+            case "west":
+                newDirection = "south";
+                break;
+            case "south":
+                newDirection = "east";
+                break;
+            case "east":
+                newDirection = "north";
+                break;
+        }
+
+        this.setStateAndDirection(state, newDirection)
+
+        return true;
+    }
+
+    turnRight() {
+        return this.turnBy(-1);
+    }
+
+    turnAround() {
+        return this.turnBy(2);
+    }
+
+    /**
+     * Rotates the character by a number of left turns (negative values turn right).
+     * @param {number} leftTurns Number of 90 degree turns to the left.
+     * @returns {boolean} False if the direction is invalid.
+     */
+    turnBy(leftTurns) {
+        return this.face(this.getDirectionAfterTurns(leftTurns));
+    }
+
+    getDirectionAfterTurns(leftTurns) {
+        const directionCount = Character.DIRECTIONS.length;
+        const index = Character.DIRECTIONS.indexOf(this.getDirection());
+        const newIndex = (((index + leftTurns) % directionCount) + directionCount) % directionCount;
+        return Character.DIRECTIONS[newIndex];
+    }
+
+    face(direction) {
+        this.finishMovement();
+        return this.setStateAndDirection(this.getState(), direction);
+    }
+
+    getPositionInDirection(direction, center = false) {
+        let newTargetX = this.x;
+        let newTargetY = this.y;
+
+        let centerOffset = center ? TILE_SIZE / 2 : 0;
+
+        switch (direction) {
+            case "north":
+                newTargetX += centerOffset;
+                newTargetY -= (TILE_SIZE + centerOffset);
+                break;
+            case "south":
+                newTargetX += centerOffset;
+                newTargetY += TILE_SIZE - centerOffset;
+                break;
+            case "west":
+                newTargetX -= TILE_SIZE - centerOffset;
+                newTargetY += -centerOffset;
+                break;
+            case "east":
+                newTargetX += TILE_SIZE + centerOffset;
+                newTargetY -= centerOffset;
+                break;
+        }
+
+        //console.log(`Current position: ("${this.x}", "${this.y}"). Direction: "${direction}". New position: ("${newTargetX}", "${newTargetY}").`)
+
+        return [newTargetX, newTargetY];
+    }
+
+    isCollisionInFront(level, newDirection = this.getDirection()) {
+        const newTargetXY = this.getPositionInDirection(newDirection, true);
+        return level.isCollision(newTargetXY[0], newTargetXY[1]);
+    }
+
+    /**
+     * @param {Level} level The current level.
+     * @returns {{col: number, row: number}} The tile the center of the character is on.
+     */
+    getTilePosition(level) {
+        return level.getTilePosition(this.x + level.tileWidth / 2, this.y - level.tileHeight / 2);
+    }
+
+    /**
+     * Inspects a tile next to or under the character.
+     * @param {Level} level The current level.
+     * @param {string} relativeDirection "front", "left", "right", "back" or "here".
+     * @returns {{direction: string, collision: boolean, object: Object | null}} The absolute direction,
+     *     whether the tile blocks the way and the game object on the tile (id, name, type and state).
+     */
+    look(level, relativeDirection) {
+        let direction = this.getDirection();
+        let position = [this.x + TILE_SIZE / 2, this.y - TILE_SIZE / 2];  // center of the character's tile
+        if (relativeDirection !== "here") {
+            direction = this.getDirectionAfterTurns(Character.RELATIVE_DIRECTIONS.get(relativeDirection));
+            position = this.getPositionInDirection(direction, true);
+        }
+
+        const object = level.getObjectAtPosition(position[0], position[1], this);
+        return {
+            direction: direction,
+            collision: relativeDirection === "here" ? false : level.isCollision(position[0], position[1]),
+            object: object ? {
+                id: object.id,
+                name: object.name,
+                type: object.type,
+                state: object.getState()
+            } : null
+        };
+    }
+
+    isTorchInFront(level) {
+        const newTargetXY = this.getPositionInDirection(this.getDirection(), true);
+        const object = level.getObjectAtPosition(newTargetXY[0], newTargetXY[1]);
+        if (object) {
+            if (object.type === "Torch") {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Moves the character one tile. The move takes effect at once, e.g. objects on the
+     * new tile are triggered, and is then played back by update().
+     * @param {string} newDirection The direction to move in.
+     * @param {Level} level The current level.
+     * @returns {boolean} False if the way is blocked or the character is dead.
+     */
+    move(newDirection, level) {
+        if (this.isDead()) {
+            return false;
+        }
+        this.finishMovement();
+
+        if (this.isCollisionInFront(level, newDirection)) {
+            this.setStateAndDirection("standing", newDirection);
+            return false;
+        } else {
+            const newTargetXY = this.getPositionInDirection(newDirection);
+            const fromX = this.x;
+            const fromY = this.y;
+
+            // Store the exact pixel coordinates where the playback of this move starts
+            this.currentMoveStartX = fromX;
+            this.currentMoveStartY = fromY;
+            this.movementProgress = 0;
+            this.x = newTargetXY[0];
+            this.y = newTargetXY[1];
+            this.setStateAndDirection("walking", newDirection);
+
+            this.emit("hero_move_started", {
+                direction: newDirection,
+                x: fromX,
+                y: fromY,
+                targetX: this.x,
+                targetY: this.y
+            });
+
+            level.handleCharacterStep(this, fromX, fromY);
+            return true;
+        }
+    }
+
+    interact(level) {
+        const position = this.getPositionInDirection(this.getDirection(), true);
+        const object =  level.getObjectAtPosition(position[0], position[1]);
+        if (object) {
+            if (typeof object.interact === 'function') {
+                return object.interact(level) !== false;
+            } else {
+                console.log(`You cannot interact with the object with ID "${object.id}".`)
+            }
+        } else {
+            console.log(`There is no object in front of the player to interact with.`);
+        }
+        return false;
+    }
+    
+    /**
+     * Takes the item lying in front of the character or the contents of the open
+     * chest or broken jug in front of it.
+     * @param {Level} level The current level.
+     * @returns {Array<{type: string, name: string | null}>} The items taken, empty if there was nothing to take.
+     */
+    pickUp(level) {
+        const position = this.getPositionInDirection(this.getDirection(), true);
+        const object = level.getObjectAtPosition(position[0], position[1], this);
+        if (!object) {
+            console.log(`There is no object in front of the player to pick up.`);
+            return [];
+        }
+
+        if (object instanceof Item) {
+            const item = object.getItem();
+            this.addItem(item);
+            level.removeObject(object);
+            return [item];
+        }
+        return object.handOverContents(this);
+    }
+
+    /**
+     * Puts a carried item onto the free tile in front of the character.
+     * @param {Level} level The current level.
+     * @param {{type: string, name: string | null}} item The carried item to drop, see findItem().
+     * @returns {boolean} False if the tile in front is blocked or the item cannot be placed in the level.
+     */
+    drop(level, item) {
+        const center = this.getPositionInDirection(this.getDirection(), true);
+        if (level.isCollision(center[0], center[1]) || level.getObjectAtPosition(center[0], center[1], this)) {
+            console.log(`The tile in front of the player is not free.`);
+            return false;
+        }
+
+        const position = this.getPositionInDirection(this.getDirection());
+        if (!level.createItemObject(item, position[0], position[1])) {
+            return false;
+        }
+        this.removeItem(item);
+        return true;
+    }
+
+    setStateAndDirection(state, direction) {
+        if (!Character.STATES.includes(state)) {
+            console.warn(`Cannot set state "${state}" for character.`);
+            return false;
+        }
+    
+        if (!Character.DIRECTIONS.includes(direction)) {
+            console.warn(`Cannot set direction "${direction}" for character.`);
+            return false;
+        }
+
+        super.setState(state + "_" + direction + "_" + this.typeNumber);
+        return true;
+    }
+
+    draw(ctx) {
+        // For debugging
+        ctx.fillStyle = 'black';
+        ctx.fillRect(this.renderX, this.renderY, 1, 1);
+
+        const newTargetXY = this.getPositionInDirection(this.getDirection(), true);
+        ctx.fillStyle = 'red';
+        ctx.fillRect(newTargetXY[0], newTargetXY[1], 1, 1);
+
+        super.draw(ctx, this.renderX, this.renderY);
+    }
+
+    update(deltaTime) {
+
+        if (this.isMoving()) {
+            this.movementProgress += deltaTime; // Accumulate time for movement
+            const progressRatio = Math.min(1, this.movementProgress / this.moveDuration);
+
+            // Interpolate the drawn position from the *stored start* position to the tile the character moved to
+            this.renderX = this.currentMoveStartX + (this.x - this.currentMoveStartX) * progressRatio;
+            this.renderY = this.currentMoveStartY + (this.y - this.currentMoveStartY) * progressRatio;
+
+            // Check if the playback is complete
+            if (progressRatio >= 1) {
+                this.movementProgress = 0;
+                this.renderX = this.x;
+                this.renderY = this.y;
+                this.setStateAndDirection("standing", this.getDirection()); // Return to standing state, but keep direction
+
+                // Reset start position for the *next* potential move
+                this.currentMoveStartX = this.x;
+                this.currentMoveStartY = this.y;
+
+                this.emit("hero_move_finished", {
+                    direction: this.getDirection(),
+                    x: this.x,
+                    y: this.y
+                });
+            }
+        }
+
+        super.update(deltaTime);
+    }
+}
+
+/**
+ * Enemy that walks along a fixed patrol route and kills the hero on contact. The route
+ * is either the property "patrol", a list of directions such as "east, east, wait, west, west",
+ * or the property "patrol_path", a reference to a polyline object. Routes are repeated,
+ * open polylines are walked back and forth. With the property "patrol_mode" set to "turn"
+ * (default) the enemy advances one tile per hero action, with "realtime" one tile every
+ * "step_interval" ms (default 1000). The property "type_number" selects the sprite.
+ */
+class Enemy extends Character {
+    static DEFAULT_STEP_INTERVAL = 1000;
+    static OPPOSITE_DIRECTIONS = new Map([
+        ["north", "south"],
+        ["south", "north"],
+        ["east", "west"],
+        ["west", "east"]
+    ]);
+
+    constructor(objectDescription, tileFactory) {
+        super(objectDescription, tileFactory);
+        this.type = Enemy.name;
+        this.route = null;            // Directions of the patrol route, created on the first step
+        this.routeIndex = 0;
+        this.patrolTime = 0;          // Time in ms since the last step in real time mode
+        this.setName(this.name || Enemy.name);
+        this.setTypeNumber(this.getPropertyValue("type_number", 1));
+    }
+
+    emit(type, data) {
+        // Enemies reuse the movement of the hero but report it as enemy events
+        super.emit(type.replace(/^hero_/, "enemy_"), { id: this.id, ...data });
+    }
+
+    isCollision() {
+        return true;
+    }
+
+    isRealTime() {
+        return this.getPropertyValue("patrol_mode", "turn") === "realtime";
+    }
+
+    isTurnBased() {
+        return !this.isRealTime();
+    }
+
+    getStepInterval() {
+        return this.getPropertyValue("step_interval", Enemy.DEFAULT_STEP_INTERVAL);
+    }
+
+    /**
+     * @param {Level} level The current level.
+     * @returns {Array<string>} The directions of the patrol route, "wait" for standing still.
+     */
+    getRoute(level) {
+        if (this.route === null) {
+            const pathId = this.getPropertyValue("patrol_path", 0);
+            this.route = pathId ? this.createRouteFromPath(level, pathId) : parseDirectionList(this.getPropertyValue("patrol", ""));
+        }
+        return this.route;
+    }
+
+    createRouteFromPath(level, pathId) {
+        const path = level.getShapeById(pathId);
+        if (!path || !path.polyline || path.polyline.length < 2) {
+            console.warn(`Patrol path "${pathId}" of enemy "${this.id}" is not a polyline.`);
+            return [];
+        }
+
+        const points = path.polyline.map(point => level.getTilePosition(path.x + point.x, path.y + point.y));
+        const route = [];
+        for (let i = 1; i < points.length; i++) {
+            const dx = points[i].col - points[i - 1].col;
+            const dy = points[i].row - points[i - 1].row;
+            route.push(...Array(Math.abs(dx)).fill(dx > 0 ? "east" : "west"));
+            route.push(...Array(Math.abs(dy)).fill(dy > 0 ? "south" : "north"));
+        }
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (first.col !== last.col || first.row !== last.row) {
+            route.push(...route.slice().reverse().map(direction => Enemy.OPPOSITE_DIRECTIONS.get(direction)));
+        }
+        return route;
+    }
+
+    /**
+     * Takes the next step of the patrol route. The enemy waits if the way is blocked.
+     * @param {Level} level The current level.
+     */
+    advance(level) {
+        const route = this.getRoute(level);
+        if (route.length === 0) {
+            return;
+        }
+
+        const direction = route[this.routeIndex];
+        if (direction === "wait" || this.move(direction, level)) {
+            this.routeIndex = (this.routeIndex + 1) % route.length;
+        }
+    }
+
+    onHeroAction(level) {
+        if (!this.isRealTime()) {
+            this.advance(level);
+        }
+    }
+
+    /**
+     * Checks if the enemy touches the hero, i.e. both are on the same tile.
+     * @param {Character} character The hero.
+     * @returns {boolean} True on contact.
+     */
+    touches(character) {
+        return this.x === character.x && this.y === character.y;
+    }
+}
+
+/**
+ * Parses a list of directions, e.g. "east, east, wait, west".
+ * @param {string} value The list.
+ * @returns {Array<string>} The valid directions and "wait" entries.
+ */
+function parseDirectionList(value) {
+    if (typeof value !== "string") {
+        return [];
+    }
+    return value.split(/[\s,;]+/)
+        .map(direction => direction.trim().toLowerCase())
+        .filter(direction => direction === "wait" || Character.DIRECTIONS.includes(direction));
+}
+
+export class GameObjectFactory {
+    static OBJECT_MAP = new Map([
+        ["Torch", Torch],
+        ["Switch", TwoWaySwitch],
+        ["Door", Door],
+        ["VerticalDoor", VerticalDoor],
+        ["Grille", Grille],
+        ["VerticalGrille", VerticalGrille],
+        ["Character", Character],
+        ["Chest", Chest],
+        ["Jug", Jug],
+        ["Goal", Goal],
+        ["LockedDoor", LockedDoor],
+        ["PressurePlate", PressurePlate],
+        ["Key", Key],
+        ["Coin", Coin],
+        ["Spikes", Spikes],
+        ["Pit", Pit],
+        ["Fire", Fire],
+        ["Enemy", Enemy]
+    ]);
+
+    constructor(events = null) {
+        this.gameObjects = [];
+        this.events = events;
+    }
+    
+    create(objectDescription, tileFactory) {
+        let classConstructor = GameObject;
+        const {
+            gid,
+            type = ""
+        } = objectDescription;
+
+        let objectType = type;
+        if (objectType === "") {
+            const tile = tileFactory.getTileByGlobalTileId(gid);
+            if (!tile) {
+                console.warn(`Object with invalid tile id "${gid}" found.`);
+                objectType = "";
+            } else {
+                objectType = tile.type;
+            }
+        }
+
+        if (GameObjectFactory.OBJECT_MAP.has(objectType)) {
+            classConstructor = GameObjectFactory.OBJECT_MAP.get(objectType);
+        } else {
+            console.warn(`Object with type "${objectType}" not defined in Object Map. Check object layer in your level.`)
+        }
+        const gameObject = new classConstructor(objectDescription, tileFactory, classConstructor.name);
+        gameObject.events = this.events;
+        this.gameObjects.push(gameObject);
+        return gameObject;
+    }
+
+    getObjectByName(name) {
+        for (const object of this.gameObjects) {
+            if (object.name === name) {
+                return object;
+            }
+        }
+
+        console.error(`GameObject with name "${name}" not found.`);
+        return null;
+    }
+
+    getObjectByType(type) {
+        for (const object of this.gameObjects) {
+            if (object.type === type) {
+                return object;
+            }
+        }
+
+        console.error(`GameObject with type "${type}" not found.`);
+        return null;
+    }
+
+    getObjectById(id) {
+        for (const object of this.gameObjects) {
+            if (object.id === id) {
+                return object;
+            }
+        }
+
+        console.error(`GameObject with ID "${id}" not found.`);
+        return null;
+    }
+
+    getObjectAtPosition(x, y, ignoredObject = null) {
+        for (const object of this.gameObjects) {
+            if (object !== ignoredObject && object.isAtPosition(x, y)) {
+                return object;
+            }
+        }
+        return null;
+    }
+
+    getObjectsAtPosition(x, y, ignoredObject = null) {
+        return this.gameObjects.filter(object => object !== ignoredObject && object.isAtPosition(x, y));
+    }
+
+    remove(gameObject) {
+        this.gameObjects = this.gameObjects.filter(object => object !== gameObject);
+    }
+}
+
+/**
+ * Per-tile visibility for levels that are explored step by step. Tiles in the hero's
+ * line of sight and tiles lit by burning torches are visible, tiles that have been
+ * visible before are dimmed and all other tiles are black.
+ */
+class FogOfWar {
+    static EXPLORED_OPACITY = 0.6;
+
+    /**
+     * @param {Level} level The level to compute the visibility for.
+     * @param {number} viewRadius How many tiles the hero can see.
+     * @param {number} torchLightRadius How many tiles a burning torch lights up.
+     */
+    constructor(level, viewRadius, torchLightRadius) {
+        this.level = level;
+        this.viewRadius = viewRadius;
+        this.torchLightRadius = torchLightRadius;
+        this.visible = [];
+        this.explored = [];
+        for (let row = 0; row < level.height; row++) {
+            this.visible[row] = new Array(level.width).fill(false);
+            this.explored[row] = new Array(level.width).fill(false);
+        }
+    }
+
+    update() {
+        for (const row of this.visible) {
+            row.fill(false);
+        }
+
+        if (this.level.character) {
+            const position = this.level.character.getTilePosition(this.level);
+            this.revealAround(position.col, position.row, this.viewRadius);
+        }
+
+        for (const gameObject of this.level.objectFactory.gameObjects) {
+            if (gameObject instanceof Torch && gameObject.isBurning()) {
+                const position = this.level.getTilePosition(gameObject.x + gameObject.width / 2, gameObject.y - gameObject.height / 2);
+                this.revealAround(position.col, position.row, this.torchLightRadius);
+            }
+        }
+    }
+
+    revealAround(centerCol, centerRow, radius) {
+        for (let row = centerRow - radius; row <= centerRow + radius; row++) {
+            for (let col = centerCol - radius; col <= centerCol + radius; col++) {
+                if (!this.isInside(col, row)) {
+                    continue;
+                }
+                const distanceSquared = (col - centerCol) ** 2 + (row - centerRow) ** 2;
+                if (distanceSquared <= radius * radius && this.isInLineOfSight(centerCol, centerRow, col, row)) {
+                    this.visible[row][col] = true;
+                    this.explored[row][col] = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Walks the line between two tiles (Bresenham) and checks that no tile in between blocks the view.
+     */
+    isInLineOfSight(fromCol, fromRow, toCol, toRow) {
+        const deltaCol = Math.abs(toCol - fromCol);
+        const deltaRow = -Math.abs(toRow - fromRow);
+        const stepCol = fromCol < toCol ? 1 : -1;
+        const stepRow = fromRow < toRow ? 1 : -1;
+        let error = deltaCol + deltaRow;
+        let col = fromCol;
+        let row = fromRow;
+
+        while (col !== toCol || row !== toRow) {
+            if ((col !== fromCol || row !== fromRow) && this.level.isOpaque(col, row)) {
+                return false;
+            }
+            const doubleError = 2 * error;
+            if (doubleError >= deltaRow) {
+                error += deltaRow;
+                col += stepCol;
+            }
+            if (doubleError <= deltaCol) {
+                error += deltaCol;
+                row += stepRow;
+            }
+        }
+        return true;
+    }
+
+    isInside(col, row) {
+        return col >= 0 && col < this.level.width && row >= 0 && row < this.level.height;
+    }
+
+    isVisible(col, row) {
+        return this.isInside(col, row) && this.visible[row][col];
+    }
+
+    isExplored(col, row) {
+        return this.isInside(col, row) && this.explored[row][col];
+    }
+
+    draw(ctx) {
+        const tileWidth = this.level.tileWidth;
+        const tileHeight = this.level.tileHeight;
+        for (let row = 0; row < this.level.height; row++) {
+            for (let col = 0; col < this.level.width; col++) {
+                if (this.visible[row][col]) {
+                    continue;
+                }
+                const opacity = this.explored[row][col] ? FogOfWar.EXPLORED_OPACITY : 1.0;
+                ctx.fillStyle = `rgba(0, 0, 0, ${opacity})`;
+                ctx.fillRect(col * tileWidth, row * tileHeight, tileWidth, tileHeight);
+            }
+        }
+    }
+}
+
+/**
+ * Win condition of a level. An objective is complete once its progress reaches the
+ * target. Limits (e.g. a maximum number of steps) are complete while the progress
+ * stays at or below the target and fail as soon as it is exceeded.
+ */
+class Objective {
+    /**
+     * @param {string} id Identifier reported to the API, e.g. "light_all_torches".
+     * @param {string} description Text shown in the HUD.
+     * @param {function(Level): number} getProgress Computes the current progress.
+     * @param {function(Level): number} getTarget Computes the progress needed.
+     * @param {boolean} [isLimit=false] True if the progress must not exceed the target.
+     */
+    constructor(id, description, getProgress, getTarget, isLimit = false) {
+        this.id = id;
+        this.description = description;
+        this.getProgress = getProgress;
+        this.getTarget = getTarget;
+        this.isLimit = isLimit;
+    }
+
+    /**
+     * @param {Level} level The current level.
+     * @returns {{id: string, description: string, progress: number, target: number, limit: boolean, complete: boolean, failed: boolean}}
+     */
+    getStatus(level) {
+        const progress = this.getProgress(level);
+        const target = this.getTarget(level);
+        const failed = this.isLimit && progress > target;
+        return {
+            id: this.id,
+            description: this.description,
+            progress: progress,
+            target: target,
+            limit: this.isLimit,
+            complete: this.isLimit ? !failed : progress >= target,
+            failed: failed
+        };
+    }
+
+    /**
+     * Creates the objectives defined by the map properties "objective_reach_goal",
+     * "objective_light_all_torches", "objective_open_all_chests", "objective_break_all_jugs"
+     * (all bool), "objective_collect_items" (int, optionally limited to the item type in
+     * "objective_collect_type") and "objective_max_steps" (int). Levels without objectives
+     * but with a goal have to reach the goal.
+     * @param {Level} level The level.
+     * @returns {Array<Objective>} The objectives of the level.
+     */
+    static createAll(level) {
+        const objectives = [];
+        const countObjects = (objectClass, isDone) => level.objectFactory.gameObjects.filter(object => object instanceof objectClass && (!isDone || isDone(object))).length;
+
+        if (level.getProperty("objective_reach_goal", false) === true) {
+            objectives.push(new Objective("reach_goal", "Reach the goal", () => level.isCharacterAtGoal() ? 1 : 0, () => 1));
+        }
+        if (level.getProperty("objective_light_all_torches", false) === true) {
+            objectives.push(new Objective("light_all_torches", "Light all torches", () => countObjects(Torch, torch => torch.isBurning()), () => countObjects(Torch)));
+        }
+        if (level.getProperty("objective_open_all_chests", false) === true) {
+            objectives.push(new Objective("open_all_chests", "Open all chests", () => countObjects(Chest, chest => chest.isOpen()), () => countObjects(Chest)));
+        }
+        if (level.getProperty("objective_break_all_jugs", false) === true) {
+            objectives.push(new Objective("break_all_jugs", "Break all jugs", () => countObjects(Jug, jug => jug.isBroken()), () => countObjects(Jug)));
+        }
+
+        const itemCount = level.getProperty("objective_collect_items", 0);
+        if (typeof itemCount === "number" && itemCount > 0) {
+            const itemType = level.getProperty("objective_collect_type", "") || null;
+            objectives.push(new Objective("collect_items", `Collect ${itemType ?? "item"}s`,
+                () => level.character ? level.character.inventory.filter(item => itemType === null || item.type === itemType).length : 0,
+                () => itemCount));
+        }
+
+        const maxSteps = level.getProperty("objective_max_steps", 0);
+        if (typeof maxSteps === "number" && maxSteps > 0) {
+            objectives.push(new Objective("max_steps", "Steps", () => level.stepCount, () => maxSteps, true));
+        }
+
+        if (objectives.filter(objective => !objective.isLimit).length === 0 && level.goal) {
+            objectives.unshift(new Objective("reach_goal", "Reach the goal", () => level.isCharacterAtGoal() ? 1 : 0, () => 1));
+        }
+        return objectives;
+    }
+}
+
+/**
+ * Represents a complete Tiled level, containing multiple layers.
+ */
+export class Level {
+    /**
+     * @param {Array<Object>} levelDescription Raw level data from Tiled Level JSON
+     * @param {TileFactory} tileFactory Tile Factory that was generated from the Tiled Level JSON
+     * @param {GameEvents} [events=null] Event emitter that game objects report their changes to
+     */
+    constructor(levelDescription, tileFactory, events = null) {
+        const {
+            compressionlevel = -1,
+            height = 0,
+            infinite = false,
+            layers = [],
+            properties = [],
+            nextlayerid = 0,
+            nextobjectid = 0,
+            orientation = "orthogonal",
+            renderorder = "right-down",
+            tiledversion = "0.0.0",
+            tileheight = 0,
+            tilesets = [],
+            tilewidth = 0,
+            type="map",
+            version = "0.0.0",
+            width = 30
+        } = levelDescription;
+
+        this.width = width;
+        this.height = height;
+        this.infinite = infinite;
+        this.tileWidth = tilewidth;
+        this.tileHeight = tileheight;
+        this.properties = properties;
+        this.nextObjectId = nextobjectid;
+        this.layers = [];
+        this.animatedTiles = [];
+        this.objectFactory = new GameObjectFactory(events);
+        this.character = null;
+        this.goal = null;
+
+        for (const layerDescription of layers) {
+            if (layerDescription.type === "tilelayer") {
+                this.layers.push(new TileLayer(layerDescription, tileFactory));
+            } else if (layerDescription.type === "objectgroup") {
+                this.layers.push(new ObjectLayer(layerDescription, tileFactory, this.objectFactory));
+            }
+        }
+
+        // Create a list of animated tiles allowing a quick update
+        this.layers.forEach((layer, layerIndex) => {
+            if (layer instanceof TileLayer) {
+                layer.tileMap.forEach((row, rowIndex) => {
+                    row.forEach((tile, colIndex) => {
+                        if (tile) {
+                            if (tile.hasAnimation()) {
+                                const tileset = tileFactory.getTilesetByGlobalTileId(levelDescription.layers[layerIndex].data[colIndex + rowIndex * this.width]);
+                                const animatedTile = AnimatedTile.create(tile, tileset);
+                                this.animatedTiles.push(animatedTile);
+                                
+                                // Replace the tile with the animated tile to get it drawn
+                                layer.replaceTile(colIndex, rowIndex, animatedTile);
+                            }
+                        }
+                    });
+                });
+            }
+        });
+
+        this.tileFactory = tileFactory;
+        this.character = this.getObjectByName("MainCharacter");
+        this.goal = this.objectFactory.gameObjects.find(gameObject => gameObject instanceof Goal) ?? null;  // levels may have other objectives instead of a goal
+        this.stepCount = 0;
+        this.objectives = Objective.createAll(this);
+
+        // Bring objects behind logic gates into the state defined by their inputs
+        for (const gameObject of this.objectFactory.gameObjects) {
+            if (gameObject.getLogic()) {
+                gameObject.updateFromInputs(this);
+            }
+        }
+
+        this.fogOfWar = null;
+        if (this.getProperty("fog_of_war", false) === true) {
+            this.fogOfWar = new FogOfWar(this, this.getProperty("view_radius", 3), this.getProperty("torch_light_radius", 2));
+            this.fogOfWar.update();
+        }
+    }
+
+    static async create(levelData, assetLoader, events = null) {
+        if (!levelData) return;
+
+        const tileFactory = await TileFactory.create(levelData.tilesets, assetLoader);
+        const level = new Level(levelData, tileFactory, events);
+
+        return level;
+    }
+
+    update(deltaTime) {
+        for (const animatedTile of this.animatedTiles) {
+            animatedTile.update(deltaTime);
+        }
+
+        this.layers.forEach(layer => {
+            if (layer instanceof ObjectLayer) {
+                layer.update(deltaTime);
+            }
+        });
+
+        this.updateEnemies(deltaTime);
+        this.checkEnemyContact();
+        this.checkHazards();
+
+        if (this.fogOfWar) {
+            this.fogOfWar.update();
+        }
+    }
+
+    /**
+     * Draws all layers of the level onto a 2D rendering context.
+     * Layers are drawn in the order they appear in the Tiled JSON.
+     * @param {CanvasRenderingContext2D} ctx The 2D rendering context of the canvas.
+     */
+    draw(ctx) {
+        if (!ctx) {
+            console.warn("Cannot draw tile layers: ctx not provided.");
+            return;
+        }
+
+        this.layers.forEach(layer => {
+            layer.draw(ctx, this.tileWidth,this.tileHeight);
+        });
+    }
+
+    /**
+     * Gets a custom map property defined in Tiled.
+     * @param {string} name The name of the property.
+     * @param {*} [defaultValue=null] The value returned if the property is not set.
+     * @returns {*} The value of the property.
+     */
+    getProperty(name, defaultValue = null) {
+        const prop = this.properties.find(p => p.name === name);
+        if (prop) {
+            return prop.value;
+        }
+        return defaultValue;
+    }
+
+    /**
+     * Converts pixel coordinates into tile coordinates.
+     * @param {number} x The x-coordinate in pixels.
+     * @param {number} y The y-coordinate in pixels.
+     * @returns {{col: number, row: number}} Column and row of the tile (0-based).
+     */
+    getTilePosition(x, y) {
+        return {
+            col: Math.floor(x / this.tileWidth),
+            row: Math.floor(y / this.tileHeight)
+        };
+    }
+
+    /**
+     * Checks if an API command may be used in this level. The map property "allowed_commands"
+     * holds a comma separated whitelist, e.g. "move, turn_left". Single commands can also be
+     * disabled with a boolean map property "allow_<command>", e.g. "allow_turn_right".
+     * @param {string} command The API command, e.g. "turn_right".
+     * @returns {boolean} True if the command is allowed.
+     */
+    isCommandAllowed(command) {
+        const allowedCommands = this.getAllowedCommands();
+        if (allowedCommands && !allowedCommands.includes(command)) {
+            return false;
+        }
+        return this.getProperty(`allow_${command}`, true) !== false;
+    }
+
+    /**
+     * @returns {Array<string> | null} The whitelisted API commands or null if all commands are allowed.
+     */
+    getAllowedCommands() {
+        const allowedCommands = this.getProperty("allowed_commands", "");
+        if (typeof allowedCommands !== "string" || allowedCommands.trim() === "") {
+            return null;
+        }
+        return allowedCommands.split(",").map(command => command.trim()).filter(command => command !== "");
+    }
+
+    /**
+     * Gets the maximum number of hero actions of a kind, defined by the map properties
+     * "max_moves", "max_turns", "max_interactions" and "max_commands" (all actions).
+     * @param {string} counter The kind of action: "moves", "turns", "interactions" or "commands".
+     * @returns {number | null} The budget or null if the level sets no limit.
+     */
+    getActionBudget(counter) {
+        const budget = this.getProperty(`max_${counter}`, null);
+        if (typeof budget !== "number" || budget < 0) {
+            return null;
+        }
+        return budget;
+    }
+
+    getObjectByName(name) {
+        return this.objectFactory.getObjectByName(name);
+    }
+
+    getObjectByType(type) {
+        return this.objectFactory.getObjectByType(type);
+    }
+
+    getObjectAtPosition(x, y, ignoredObject = null) {
+        return this.objectFactory.getObjectAtPosition(x, y, ignoredObject);
+    }
+
+    getObjectById(id) {
+        return this.objectFactory.getObjectById(id);
+    }
+
+    /**
+     * Removes a game object from the level, e.g. a key the hero has taken.
+     * @param {GameObject} gameObject The object to remove.
+     */
+    removeObject(gameObject) {
+        this.objectFactory.remove(gameObject);
+        this.layers.forEach(layer => {
+            if (layer instanceof ObjectLayer) {
+                layer.objects = layer.objects.filter(object => object !== gameObject);
+            }
+        });
+    }
+
+    /**
+     * Places an item as a new object in the level, e.g. when the hero drops it.
+     * @param {{type: string, name: string | null}} item The item.
+     * @param {number} x The x-coordinate of the bottom left corner in pixels.
+     * @param {number} y The y-coordinate of the bottom left corner in pixels.
+     * @returns {Item | null} The new object or null if the item type has no object class or tile.
+     */
+    createItemObject(item, x, y) {
+        const classConstructor = GameObjectFactory.OBJECT_MAP.get(item.type);
+        const tile = this.tileFactory.getTileByTypeAndState(item.type, "default");
+        if (!classConstructor || !(classConstructor.prototype instanceof Item) || !tile) {
+            console.warn(`Item of type "${item.type}" cannot be placed in the level.`);
+            return null;
+        }
+
+        const gameObject = this.objectFactory.create({
+            gid: this.tileFactory.getGlobalTileId(tile),
+            height: tile.height,
+            id: this.nextObjectId++,
+            name: item.name ?? "",
+            properties: [],
+            visible: true,
+            width: tile.width,
+            x: x,
+            y: y
+        }, this.tileFactory);
+
+        // Draw the item below the character
+        const layer = this.layers.find(layer => layer instanceof ObjectLayer && layer.objects.includes(this.character))
+            ?? this.layers.find(layer => layer instanceof ObjectLayer);
+        const characterIndex = layer.objects.indexOf(this.character);
+        layer.objects.splice(characterIndex >= 0 ? characterIndex : layer.objects.length, 0, gameObject);
+        return gameObject;
+    }
+
+    /**
+     * @param {GameObject} target A game object.
+     * @returns {Array<GameObject>} All objects whose "controls" property contains the target.
+     */
+    getObjectsControlling(target) {
+        return this.objectFactory.gameObjects.filter(object => object.getControlledIds().includes(target.id));
+    }
+
+    /**
+     * Informs the objects on the tile the character left and on the tile it entered.
+     * @param {Character} character The character that made a step.
+     * @param {number} fromX The x-coordinate the step started at.
+     * @param {number} fromY The y-coordinate the step started at.
+     */
+    handleCharacterStep(character, fromX, fromY) {
+        if (character !== this.character) {
+            return;  // enemies do not trigger objects
+        }
+        this.stepCount += 1;
+
+        const centerOffsetX = this.tileWidth / 2;
+        const centerOffsetY = this.tileHeight / 2;
+        const leftObjects = this.objectFactory.getObjectsAtPosition(fromX + centerOffsetX, fromY - centerOffsetY, character);
+        const enteredObjects = this.objectFactory.getObjectsAtPosition(character.x + centerOffsetX, character.y - centerOffsetY, character);
+
+        leftObjects.forEach(object => object.onLeave(this, character));
+        enteredObjects.forEach(object => object.onEnter(this, character));
+    }
+
+    getEnemies() {
+        return this.objectFactory.gameObjects.filter(gameObject => gameObject instanceof Enemy);
+    }
+
+    /**
+     * Moves the enemies that patrol in real time.
+     * @param {number} deltaTime Time in ms since the last update.
+     */
+    updateEnemies(deltaTime) {
+        for (const enemy of this.getEnemies()) {
+            if (!enemy.isRealTime()) {
+                continue;
+            }
+            enemy.patrolTime += deltaTime;
+            if (enemy.patrolTime >= enemy.getStepInterval()) {
+                enemy.patrolTime = 0;
+                enemy.advance(this);
+            }
+        }
+    }
+
+    /**
+     * Advances the turn based objects, e.g. enemies, by one turn. Called after every hero action.
+     */
+    handleHeroAction() {
+        for (const gameObject of this.objectFactory.gameObjects.slice()) {
+            gameObject.onHeroAction(this);
+        }
+        this.checkEnemyContact();
+        this.checkHazards();
+    }
+
+    /**
+     * @returns {boolean} True while the move of the hero or a turn based enemy is being played back.
+     */
+    isAnimating() {
+        return this.objectFactory.gameObjects.some(gameObject => gameObject instanceof Character && gameObject.isTurnBased() && gameObject.isMoving());
+    }
+
+    /**
+     * Ends the playback of all moves at once.
+     */
+    finishAnimations() {
+        for (const gameObject of this.objectFactory.gameObjects) {
+            if (gameObject instanceof Character) {
+                gameObject.finishMovement();
+            }
+        }
+    }
+
+    checkEnemyContact() {
+        if (!this.character || this.character.isDead()) {
+            return;
+        }
+        const enemy = this.getEnemies().find(enemy => enemy.touches(this.character));
+        if (enemy) {
+            this.killCharacter(enemy);
+        }
+    }
+
+    /**
+     * @param {number} id The ID of an object without a tile, e.g. a polyline.
+     * @returns {Object | null} The raw object from the Tiled Level JSON.
+     */
+    getShapeById(id) {
+        for (const layer of this.layers) {
+            if (layer instanceof ObjectLayer) {
+                const shape = layer.shapes.find(shape => shape.id === id);
+                if (shape) {
+                    return shape;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Kills the standing character if a hazard on its tile has become dangerous, e.g. spikes that came out.
+     */
+    checkHazards() {
+        if (!this.character || this.character.isDead()) {
+            return;
+        }
+        const hazard = this.objectFactory.getObjectsAtPosition(this.character.x + this.tileWidth / 2, this.character.y - this.tileHeight / 2, this.character)
+            .find(object => object instanceof Hazard && object.isDangerous());
+        if (hazard) {
+            this.killCharacter(hazard);
+        }
+    }
+
+    /**
+     * @param {Hazard} hazard The hazard the character stepped into.
+     */
+    killCharacter(hazard) {
+        if (this.character) {
+            console.log(`The hero was killed by "${hazard.type}" (ID "${hazard.id}").`);
+            this.character.die(hazard.type);
+        }
+    }
+
+    isCharacterDead() {
+        return this.character ? this.character.isDead() : false;
+    }
+
+    /**
+     * @returns {Array<Object>} The lights of all burning torches, see Torch.getLight().
+     */
+    getLights() {
+        return this.objectFactory.gameObjects
+            .filter(gameObject => gameObject instanceof Torch && gameObject.isBurning())
+            .map(torch => torch.getLight(this));
+    }
+
+    /**
+     * Opacity of the darkness outside of the torch light. Levels without torches are fully lit,
+     * other levels can set the darkness with the map property "darkness" (0 to 1).
+     * @returns {number} Opacity of the darkness layer.
+     */
+    getDarkness() {
+        const hasTorches = this.objectFactory.gameObjects.some(gameObject => gameObject instanceof Torch);
+        if (!hasTorches) {
+            return 0.0;
+        }
+        return Math.min(Math.max(this.getProperty("darkness", 0.9), 0.0), 1.0);
+    }
+
+    getBrightness() {
+        let totalNumberOfTorches = 0;
+        let burningNumberOfTorches = 0;
+        let brightness = 1.0;
+        for (const gameObject of this.objectFactory.gameObjects) {
+            if (gameObject instanceof Torch)  {
+                totalNumberOfTorches += 1;
+                if (gameObject.isBurning()) {
+                    burningNumberOfTorches += 1;
+                }
+            }
+        }
+
+        if (totalNumberOfTorches > 0) {
+            brightness = Math.min(burningNumberOfTorches / totalNumberOfTorches, 1.0);
+        }
+
+        return brightness;
+    }
+
+    isCharacterAtGoal() {
+        if (this.character && this.goal) {
+            if (this.character.x == this.goal.x && this.character.y == this.goal.y) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @returns {Array<Object>} The status of every objective of the level, see Objective.getStatus().
+     */
+    getObjectives() {
+        return this.objectives.map(objective => objective.getStatus(this));
+    }
+
+    /**
+     * @returns {boolean} True if all objectives of the level are complete. Limits alone, like
+     * a maximum number of steps, never complete a level.
+     */
+    isComplete() {
+        if (!this.objectives.some(objective => !objective.isLimit) || (this.character && this.character.isDead())) {
+            return false;
+        }
+        return this.getObjectives().every(objective => objective.complete);
+    }
+
+    /**
+     * Captures the state of all game objects and the position and direction of the character.
+     * @returns {Object} Snapshot that can be passed to restoreSnapshot().
+     */
+    createSnapshot() {
+        const snapshot = {
+            objects: [],
+            character: null
+        };
+
+        for (const gameObject of this.objectFactory.gameObjects) {
+            if (gameObject === this.character) {
+                continue;
+            }
+            snapshot.objects.push({ id: gameObject.id, state: gameObject.state });
+        }
+
+        if (this.character) {
+            snapshot.character = {
+                x: this.character.x,
+                y: this.character.y,
+                direction: this.character.getDirection()
+            };
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Puts back the object states and the character position stored in a snapshot.
+     * @param {Object} snapshot Snapshot created by createSnapshot().
+     */
+    restoreSnapshot(snapshot) {
+        for (const objectSnapshot of snapshot.objects) {
+            const gameObject = this.getObjectById(objectSnapshot.id);
+            if (gameObject && objectSnapshot.state !== undefined) {
+                gameObject.setState(objectSnapshot.state);
+            }
+        }
+
+        if (this.character && snapshot.character) {
+            this.character.setPosition(snapshot.character.x, snapshot.character.y);
+            this.character.setStateAndDirection("standing", snapshot.character.direction);
+        }
+    }
+
+    isCollision(x, y) {
+        const tileCol = Math.floor(x / this.tileWidth);
+        const tileRow = Math.floor(y / this.tileHeight);
+
+        // Check for out of bounds
+        if (tileCol < 0 || tileCol >= this.width || tileRow < 0 || tileRow >= this.height) {
+            console.warn("Checking for collision out of bounds.")
+            return true; // Consider out of bounds as a collision
+        }
+
+        for (const layer of this.layers) {
+            if (layer instanceof TileLayer) {
+                if (this.isTileLayerCollision(layer, tileRow, tileCol)) {
+                    return true;
+                }
+            } else if (layer instanceof ObjectLayer) {
+                const objects = this.objectFactory.getObjectsAtPosition(x, y);
+                if (objects.length > 0) {
+                    return objects.some(object => object.isCollision());
+                }
+            }
+        }
+
+        return false; // No collision detected
+    }
+
+    /**
+     * Checks if a tile blocks the view, i.e. it is a wall or a closed door.
+     * @param {number} col The column index (0-based).
+     * @param {number} row The row index (0-based).
+     * @returns {boolean} True if the hero cannot see through the tile.
+     */
+    isOpaque(col, row) {
+        if (this.layers.some(layer => layer instanceof TileLayer && this.isTileLayerCollision(layer, row, col))) {
+            return true;
+        }
+        const object = this.getObjectAtPosition((col + 0.5) * this.tileWidth, (row + 0.5) * this.tileHeight, this.character);
+        return object instanceof Door && !object.isOpen();
+    }
+
+    isTileLayerCollision(layer, row, col) {
+        // Check collision for TileLayer
+        const isLayerCollision = layer.getBooleanProperty('collision', false);
+
+        if (isLayerCollision) {
+            const tile = layer.getTileAt(row, col);
+            // If the layer itself has collision=true, any non-empty tile within it is a collision
+            if (tile) {
+                if (tile.id !== 0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Creates a read-only description of the level for path finding.
+     * @returns {Object} Width and height in tiles, a collision grid (grid[row][col] is true
+     *     for walls), all game objects except the hero with their tile position and the goal position.
+     */
+    getMap() {
+        const grid = [];
+        for (let row = 0; row < this.height; row++) {
+            grid[row] = [];
+            for (let col = 0; col < this.width; col++) {
+                grid[row][col] = this.layers.some(layer => layer instanceof TileLayer && this.isTileLayerCollision(layer, row, col));
+            }
+        }
+
+        const objects = [];
+        for (const gameObject of this.objectFactory.gameObjects) {
+            if (gameObject === this.character) {
+                continue;
+            }
+            const position = this.getTilePosition(gameObject.x + gameObject.width / 2, gameObject.y - gameObject.height / 2);
+            objects.push({
+                id: gameObject.id,
+                name: gameObject.name,
+                type: gameObject.type,
+                state: gameObject.getState(),
+                collision: Boolean(gameObject.isCollision()),
+                col: position.col,
+                row: position.row
+            });
+        }
+
+        const goal = objects.find(object => object.type === "Goal");
+
+        return {
+            width: this.width,
+            height: this.height,
+            grid: grid,
+            objects: objects,
+            goal: goal ? { col: goal.col, row: goal.row } : null
+        };
+    }
+}
+
+export class CharacterInterface {
+    static TURN_DURATION = 200; // Time in ms a turn is shown before the next action starts
+
+    constructor(game, level, character) {
+        this.game = game;
+        this.level = level;
+        this.character = character;
+        this.actionQueue = [];
+        this.currentAction = null;
+        this.actionCounters = {
+            moves: 0,
+            turns: 0,
+            interactions: 0,
+            commands: 0
+        };
+    }
+
+    /**
+     * @returns {{moves: number, turns: number, interactions: number, commands: number}} The hero actions used so far.
+     */
+    getActionCounters() {
+        return { ...this.actionCounters };
+    }
+
+    /**
+     * Queues a hero action. Actions are executed strictly one after the other.
+     * @param {function(): *} execute Starts the action and returns its result.
+     * @param {number} [minDuration=0] Time in ms the action takes at least, e.g. to show a turn.
+     * @returns {Promise<*>} Resolves with the result of execute() once the action and its animation have finished.
+     */
+    enqueue(execute, minDuration = 0) {
+        const promise = new Promise((resolve, reject) => {
+            this.actionQueue.push({ execute, minDuration, resolve, reject, result: null, elapsedTime: 0 });
+        });
+        if (this.game.isInstant()) {
+            this.flush();
+        }
+        return promise;
+    }
+
+    /**
+     * Resolves the current and all queued actions at once without waiting for their playback.
+     * Used by the instant speed, which does not depend on the animation loop.
+     */
+    flush() {
+        while (this.currentAction || this.actionQueue.length > 0) {
+            this.level.finishAnimations();
+            this.update(Infinity, this.game.isPlaying());
+            this.game.updateGameState();
+        }
+    }
+
+    /**
+     * Finishes the current action once its playback is over and starts the next queued one.
+     * The action itself is resolved against the level state at once when it is started.
+     * @param {number} deltaTime Time in ms since the last update.
+     * @param {boolean} isPlaying False if the level is not being played, which cancels all actions.
+     */
+    update(deltaTime, isPlaying = true) {
+        if (this.currentAction) {
+            this.currentAction.elapsedTime += deltaTime;
+            if (this.level.isAnimating() || this.currentAction.elapsedTime < this.currentAction.minDuration) {
+                return;
+            }
+        }
+
+        if (this.character.isDead()) {
+            this.cancelActions(this.getDeathMessage(), "HeroDied");
+            return;
+        }
+
+        if (this.currentAction) {
+            // The action that completed the level has finished, only later actions are cancelled
+            this.currentAction.resolve(this.currentAction.result);
+            this.currentAction = null;
+        }
+
+        if (!isPlaying) {
+            this.cancelActions("No level is being played.");
+            return;
+        }
+
+        const action = this.actionQueue.shift();
+        if (action) {
+            try {
+                action.result = action.execute();
+                this.currentAction = action;
+                this.level.handleHeroAction();
+            } catch (error) {
+                action.reject(error);
+            }
+        }
+    }
+
+    /**
+     * Rejects the current and all queued actions.
+     * @param {string} reason Error message passed to the waiting callers.
+     * @param {string | null} [exception=null] Exception name reported to the API client, e.g. "HeroDied".
+     */
+    cancelActions(reason, exception = null) {
+        const actions = this.currentAction ? [this.currentAction, ...this.actionQueue] : this.actionQueue;
+        for (const action of actions) {
+            action.reject(exception ? new ApiError(exception, reason) : new Error(reason));
+        }
+        this.currentAction = null;
+        this.actionQueue = [];
+    }
+
+    move() {
+        this.registerAction("move", "moves");
+        return this.enqueue(() => this.character.move(this.character.getDirection(), this.level));
+    }
+
+    configure(name, typeNumber) {
+        var success = true;
+        success = this.character.setName(name);
+        success &= this.character.setTypeNumber(typeNumber);
+        return success;
+    }
+
+    /**
+     * Throws an ApiError if the level does not allow the command.
+     * @param {string} command The API command, e.g. "turn_right".
+     */
+    checkCommandAllowed(command) {
+        if (!this.level.isCommandAllowed(command)) {
+            throw new ApiError("CommandNotAllowed", `Command "${command}" is not allowed in this level.`);
+        }
+    }
+
+    /**
+     * Checks the level rules for a hero action and counts it. Throws an ApiError if
+     * the command is not allowed, the hero is dead or the level's budget for this kind of action is used up.
+     * @param {string} command The API command, e.g. "turn_left".
+     * @param {string} counter The kind of action: "moves", "turns" or "interactions".
+     */
+    registerAction(command, counter) {
+        this.checkCommandAllowed(command);
+        if (this.character.isDead()) {
+            throw new ApiError("HeroDied", this.getDeathMessage());
+        }
+
+        for (const budgetCounter of [counter, "commands"]) {
+            const budget = this.level.getActionBudget(budgetCounter);
+            if (budget !== null && this.actionCounters[budgetCounter] >= budget) {
+                throw new ApiError("ActionBudgetExceeded", `The level allows only ${budget} ${budgetCounter}. Command "${command}" was rejected.`);
+            }
+        }
+
+        this.actionCounters[counter] += 1;
+        this.actionCounters.commands += 1;
+    }
+
+    getDeathMessage() {
+        return `${this.character.heroName} was killed by ${this.character.causeOfDeath}. Reset the level to try again.`;
+    }
+
+    turnLeft() {
+        this.registerAction("turn_left", "turns");
+        return this.enqueue(() => this.character.turnLeft(), CharacterInterface.TURN_DURATION);
+    }
+
+    turnRight() {
+        this.registerAction("turn_right", "turns");
+        return this.enqueue(() => this.character.turnRight(), CharacterInterface.TURN_DURATION);
+    }
+
+    turnAround() {
+        this.registerAction("turn_around", "turns");
+        return this.enqueue(() => this.character.turnAround(), CharacterInterface.TURN_DURATION);
+    }
+
+    face(direction) {
+        if (!Character.DIRECTIONS.includes(direction)) {
+            throw new ApiError("InvalidArgument", `Direction "${direction}" is invalid. Use one of ${Character.DIRECTIONS.join(", ")}.`);
+        }
+        this.registerAction("face", "turns");
+        return this.enqueue(() => this.character.face(direction), CharacterInterface.TURN_DURATION);
+    }
+
+    /**
+     * @returns {Object} Tile position, direction, moving and alive flags, name, type number and action counters of the hero.
+     */
+    getState() {
+        this.checkCommandAllowed("get_state");
+        const position = this.character.getTilePosition(this.level);
+        return {
+            col: position.col,
+            row: position.row,
+            direction: this.character.getDirection(),
+            moving: this.character.isMoving(),
+            alive: !this.character.isDead(),
+            name: this.character.heroName,
+            typeNumber: this.character.typeNumber,
+            actionCounters: { ...this.actionCounters }
+        };
+    }
+
+    /**
+     * @returns {Object} The map of the level, see Level.getMap(). Only available if the
+     *     level sets the boolean map property "map_visible".
+     */
+    getMap() {
+        this.checkCommandAllowed("get_map");
+        if (this.level.getProperty("map_visible", false) !== true) {
+            throw new ApiError("MapNotAvailable", "The map of this level is hidden. Explore it with the hero's sensors.");
+        }
+        return this.level.getMap();
+    }
+
+    isFacingNorth() {
+        this.checkCommandAllowed("is_facing_north");
+        return this.character.isFacingNorth();
+    }
+
+    /**
+     * Inspects a tile relative to the hero.
+     * @param {string} [direction="front"] "front", "left", "right", "back" or "here".
+     * @returns {{direction: string, collision: boolean, object: Object | null}} See Character.look().
+     */
+    look(direction = "front") {
+        this.checkCommandAllowed("look");
+        if (direction !== "here" && !Character.RELATIVE_DIRECTIONS.has(direction)) {
+            throw new ApiError("InvalidArgument", `Direction "${direction}" is invalid. Use one of front, left, right, back, here.`);
+        }
+        return this.character.look(this.level, direction);
+    }
+
+    isCollisionInFront() {
+        this.checkCommandAllowed("is_collision_in_front");
+        return this.character.look(this.level, "front").collision;
+    }
+
+    isTorchInFront() {
+        this.checkCommandAllowed("is_torch_in_front");
+        return this.character.look(this.level, "front").object?.type === "Torch";
+    }
+
+    isSwitchInFront() {
+        this.checkCommandAllowed("is_switch_in_front");
+        return this.character.look(this.level, "front").object?.type === "Switch";
+    }
+
+    isMoving() {
+        return this.character.isMoving();
+    }
+
+    interact() {
+        this.registerAction("interact", "interactions");
+        return this.enqueue(() => this.character.interact(this.level));
+    }
+
+    pickUp() {
+        this.registerAction("pick_up", "interactions");
+        return this.enqueue(() => this.character.pickUp(this.level));
+    }
+
+    /**
+     * Drops a carried item onto the tile in front of the hero.
+     * @param {string | null} [itemName=null] The item, e.g. "Coin" or "Key:gold". Null drops the item taken last.
+     * @returns {Promise<boolean>} Resolves with false if the tile in front is not free.
+     */
+    drop(itemName = null) {
+        const [item = null] = parseItemList(itemName);
+        this.checkCommandAllowed("drop");
+        const carriedItem = item ? this.character.findItem(item.type, item.name) : this.character.findItem();
+        if (!carriedItem) {
+            throw new ApiError("ItemNotCarried", item ? `The hero does not carry "${itemName}".` : "The hero does not carry any items.");
+        }
+        this.registerAction("drop", "interactions");
+        return this.enqueue(() => this.character.drop(this.level, carriedItem));
+    }
+
+    /**
+     * @returns {Array<{type: string, name: string | null}>} The items carried by the hero.
+     */
+    getInventory() {
+        this.checkCommandAllowed("get_inventory");
+        return this.character.inventory.map(item => ({ ...item }));
+    }
+
+    isAtGoal() {
+        this.checkCommandAllowed("is_at_goal");
+        return this.level.isCharacterAtGoal();
+    }
+
+    /**
+     * @returns {Array<Object>} The progress of every objective of the level, see Objective.getStatus().
+     */
+    getObjectives() {
+        this.checkCommandAllowed("get_objectives");
+        return this.level.getObjectives();
+    }
+}
+
+/**
+ * Plays back a recorded trace by executing its commands again in a fresh copy of the level.
+ * Time based objects like realtime enemies may behave differently than in the recorded run,
+ * so every step tells if the hero ended up where the trace says.
+ */
+export class TraceReplay {
+    // The level is loaded by the replay itself and the speed is chosen by the viewer
+    static SKIPPED_COMMANDS = ["load_level", "set_speed"];
+
+    /**
+     * @param {Simulation} simulation The simulation to replay the trace in.
+     * @param {Object} levelData The Tiled JSON of the level the trace was recorded in.
+     * @param {Array<Object>} entries The trace as returned by Simulation.getTrace().
+     */
+    constructor(simulation, levelData, entries) {
+        this.simulation = simulation;
+        this.levelData = levelData;
+        this.entries = entries;
+        this.position = 0;
+    }
+
+    async start() {
+        await this.simulation.loadLevel(this.levelData);
+        this.position = 0;
+    }
+
+    getLength() {
+        return this.entries.length;
+    }
+
+    /**
+     * @returns {number} The number of commands executed so far.
+     */
+    getPosition() {
+        return this.position;
+    }
+
+    getEntry(index) {
+        return this.entries[index] ?? null;
+    }
+
+    isFinished() {
+        return this.position >= this.entries.length;
+    }
+
+    /**
+     * Executes the next command of the trace.
+     * @returns {Promise<{entry: Object, response: Object | null, matches: boolean} | null>} The recorded entry,
+     *     the response of the replayed command and whether the hero is where it was recorded. Null at the end of the trace.
+     */
+    async step() {
+        if (this.isFinished()) {
+            return null;
+        }
+
+        const entry = this.entries[this.position];
+        this.position++;
+        let response = null;
+        if (!TraceReplay.SKIPPED_COMMANDS.includes(entry.command)) {
+            response = await this.simulation.executeCommand({ command: entry.command, data: entry.data ?? null });
+        }
+
+        const hero = this.simulation.getHeroPosition();
+        const recordedHero = entry.hero ?? null;
+        const matches = hero === recordedHero || (hero !== null && recordedHero !== null &&
+            hero.col === recordedHero.col && hero.row === recordedHero.row && hero.direction === recordedHero.direction);
+        return { entry: entry, response: response, matches: matches };
+    }
+
+    /**
+     * Jumps to a position in the trace. The commands up to the position are executed without playback,
+     * going back restarts the level.
+     * @param {number} position The number of commands to have executed.
+     */
+    async seek(position) {
+        const target = Math.max(0, Math.min(position, this.entries.length));
+        if (target < this.position) {
+            this.simulation.resetLevel();
+            this.position = 0;
+        }
+
+        const speed = this.simulation.getSpeed();
+        this.simulation.setSpeed("instant");
+        try {
+            while (this.position < target) {
+                await this.step();
+            }
+        } finally {
+            this.simulation.setSpeed(speed);
+        }
+    }
+}
+
+/**
+ * Runs a level and answers the API commands for it, without drawing anything.
+ * Files are read through an asset loader with the methods loadJson(path) and
+ * loadImage(path), both taking paths relative to the game folder, e.g.
+ * "assets/tilesets/tiles.json". Headless loaders may return null for images.
+ */
+export class Simulation {
+    static GAME_STATE = {
+        WAITING_FOR_LEVEL: "WAITING", 
+        PLAYING: "PLAYING",
+        LEVEL_COMPLETE: "LEVEL_COMPLETE",
+        GAME_OVER: "GAME_OVER"
+    };
+
+    // Playback speed factors. "instant" resolves hero actions without waiting for their playback.
+    static SPEEDS = {
+        "1x": 1,
+        "4x": 4,
+        "instant": 1
+    };
+
+    // Commands about the trace itself and the debugger. They are not recorded and still work while a trace is replayed.
+    static UNTRACED_COMMANDS = ["get_trace", "replay", "debug_check"];
+
+    // Commands that start over and stop a replay, e.g. once the viewer has watched it to the end.
+    static REPLAY_STOPPING_COMMANDS = ["load_level", "reset_level", "replay"];
+
+    // Commands that change the hero or the level. Breakpoint conditions are only checked for them.
+    static HERO_ACTIONS = ["move", "turn_left", "turn_right", "turn_around", "face", "interact", "pick_up", "drop"];
+
+    // Conditions the debugger can pause on, besides "before_<command>" for every hero command, e.g. "before_interact".
+    static BREAKPOINT_CONDITIONS = {
+        "facing_wall": "The action targets a wall",
+        "facing_object": "The action targets an object"
+    };
+
+    constructor(assetLoader) {
+        this.assetLoader = assetLoader;
+        this.level = null;
+        this.currentGameState = Simulation.GAME_STATE.WAITING_FOR_LEVEL;
+        this.character = null;
+        this.characterInterface = null;
+        this.levelData = null;
+        this.initialSnapshot = null;
+        this.events = new GameEvents();
+        this.speed = "1x";
+        this.trace = [];
+        this.replay = null;
+        this.pendingAction = null;
+    }
+
+    async loadLevel(levelData) {
+        this.level = await Level.create(levelData, this.assetLoader, this.events);
+        this.levelData = levelData;
+        this.initialSnapshot = this.level.createSnapshot();
+        this.setupLevel();
+        console.log("Level successfully loaded.");
+        return true;
+    }
+
+    /**
+     * Rebuilds the current level from its original JSON and restores the initial state
+     * of all objects and the hero. The hero keeps its configured name and type.
+     * @returns {boolean} False if no level has been loaded yet.
+     */
+    resetLevel() {
+        if (!this.levelData || !this.level) {
+            console.warn("Cannot reset level: no level loaded.");
+            return false;
+        }
+
+        const previousCharacter = this.character;
+        this.level = new Level(this.levelData, this.level.tileFactory, this.events);
+        this.level.restoreSnapshot(this.initialSnapshot);
+        this.setupLevel();
+
+        if (previousCharacter && this.character) {
+            this.character.setName(previousCharacter.heroName);
+            this.character.setTypeNumber(previousCharacter.typeNumber);
+        }
+
+        console.log("Level successfully reset.");
+        return true;
+    }
+
+    setupLevel() {
+        if (this.characterInterface) {
+            this.characterInterface.cancelActions("The level was reloaded.");
+        }
+        this.character = this.level.getObjectByName("MainCharacter");
+        this.characterInterface = new CharacterInterface(this, this.level, this.character);
+        this.setGameState(Simulation.GAME_STATE.PLAYING);
+    }
+
+    /**
+     * Sets how fast hero actions are played back.
+     * @param {string} speed One of Simulation.SPEEDS, i.e. "1x", "4x" or "instant".
+     */
+    setSpeed(speed) {
+        if (!(speed in Simulation.SPEEDS)) {
+            throw new ApiError("InvalidArgument", `Speed "${speed}" is invalid. Use one of ${Object.keys(Simulation.SPEEDS).join(", ")}.`);
+        }
+        this.speed = speed;
+        if (this.isInstant() && this.characterInterface) {
+            this.characterInterface.flush();
+        }
+    }
+
+    getSpeed() {
+        return this.speed;
+    }
+
+    isInstant() {
+        return this.speed === "instant";
+    }
+
+    isPlaying() {
+        return this.currentGameState === Simulation.GAME_STATE.PLAYING;
+    }
+
+    /**
+     * Ends the level once the hero died or completed it. Waits until the playback of the last moves is over.
+     */
+    updateGameState() {
+        if (!this.isPlaying() || this.level.isAnimating()) {
+            return;
+        }
+        if (this.level.isCharacterDead()) {
+            this.events.emit("game_over", { cause: this.character.causeOfDeath });
+            this.setGameState(Simulation.GAME_STATE.GAME_OVER);
+        } else if (this.level.isComplete()) {
+            this.events.emit("level_complete", { objectives: this.level.getObjectives() });
+            this.setGameState(Simulation.GAME_STATE.LEVEL_COMPLETE);
+        }
+    }
+
+    setGameState(state) {
+        const previousState = this.currentGameState;
+        this.currentGameState = state;
+        if (previousState !== state) {
+            this.events.emit("game_state_changed", { previousState: previousState, state: state });
+        }
+    }
+
+    getCharacterInterface() {
+        return this.characterInterface;
+    }
+
+    isComplete() {
+        return this.level.isComplete();
+    }
+
+    /**
+     * Advances the level and the hero actions by one time step.
+     * @param {number} deltaTime Time in ms since the last update, scaled by the speed setting.
+     */
+    update(deltaTime) {
+        const scaledTime = deltaTime * Simulation.SPEEDS[this.speed];
+        if (this.isPlaying() && this.level) {
+            this.level.update(scaledTime);
+            this.updateGameState();
+        }
+        if (this.characterInterface) {
+            this.characterInterface.update(scaledTime, this.isPlaying());
+        }
+    }
+
+    /**
+     * @returns {{col: number, row: number, direction: string} | null} The tile and direction of the hero or null if no level is loaded.
+     */
+    getHeroPosition() {
+        if (!this.level || !this.character) {
+            return null;
+        }
+        const position = this.character.getTilePosition(this.level);
+        return { col: position.col, row: position.row, direction: this.character.getDirection() };
+    }
+
+    /**
+     * @returns {Array<Object>} The commands processed since the level was loaded, see recordTrace().
+     */
+    getTrace() {
+        return this.trace;
+    }
+
+    /**
+     * Adds a processed command to the trace. Loading a level starts a new trace.
+     * @param {{command: string, data: *}} message The command and its arguments.
+     * @param {Object} response The response sent to the API client.
+     */
+    recordTrace(message, response) {
+        if (message.command === 'load_level') {
+            this.trace = [];
+        }
+        this.trace.push({
+            timestamp: Date.now(),
+            command: message.command,
+            data: message.command === 'load_level' ? null : message.data ?? null,  // the level is passed to the replay separately
+            success: response.success,
+            result: response.result,
+            message: response.message,
+            exception: response.exception,
+            hero: this.getHeroPosition()
+        });
+    }
+
+    /**
+     * Loads a level and plays back a trace recorded in it. API commands are rejected until the replay is stopped,
+     * see REPLAY_STOPPING_COMMANDS.
+     * @param {Object} levelData The Tiled JSON of the level.
+     * @param {Array<Object>} trace The trace as returned by get_trace.
+     * @returns {Promise<number>} The number of commands in the trace.
+     */
+    async startReplay(levelData, trace) {
+        if (!levelData || !Array.isArray(trace)) {
+            throw new ApiError("InvalidArgument", "A replay needs a level and a trace, i.e. the list of commands returned by get_trace.");
+        }
+        const replay = new TraceReplay(this, levelData, trace);
+        await replay.start();
+        this.replay = replay;
+        this.events.emit("replay_started", { length: trace.length });
+        return trace.length;
+    }
+
+    stopReplay() {
+        if (this.replay) {
+            this.replay = null;
+            this.events.emit("replay_stopped", {});
+        }
+    }
+
+    getReplay() {
+        return this.replay;
+    }
+
+    /**
+     * Determines the tile a hero command is aimed at, e.g. the tile the hero moves to or faces after turning.
+     * @param {{command: string, data: *}} message The hero command.
+     * @returns {{col: number, row: number, direction: string, wall: boolean, object: string | null}} The tile,
+     *     the direction the hero faces for the command, whether the tile is a wall and the type of the object on it.
+     */
+    getActionTarget(message) {
+        const turns = { "turn_left": 1, "turn_right": -1, "turn_around": 2 };
+        let direction = this.character.getDirection();
+        if (message.command in turns) {
+            direction = this.character.getDirectionAfterTurns(turns[message.command]);
+        } else if (message.command === "face" && Character.DIRECTIONS.includes(message.data?.direction)) {
+            direction = message.data.direction;
+        }
+
+        const [x, y] = this.character.getPositionInDirection(direction, true);
+        const object = this.level.getObjectAtPosition(x, y, this.character);
+        return {
+            ...this.level.getTilePosition(x, y),
+            direction: direction,
+            wall: !object && this.level.isCollision(x, y),
+            object: object ? object.type : null
+        };
+    }
+
+    /**
+     * Checks whether the debugger should hold a hero command and, if so, highlights the tile it is aimed at
+     * until the next command is processed.
+     * @param {{command: string, data: *}} message The hero command waiting to be sent.
+     * @param {Array<string>} breakpoints Keys of BREAKPOINT_CONDITIONS or "before_<command>".
+     * @param {boolean} stepping True if every command is held until the user steps.
+     * @returns {{pause: boolean, reason: string, target: Object | null}} Whether to hold the command, why, and see getActionTarget().
+     */
+    checkBreakpoints(message, breakpoints, stepping) {
+        if (!this.character || !this.isPlaying()) {
+            return { pause: false, reason: "", target: null };
+        }
+
+        const target = this.getActionTarget(message);
+        let reason = null;
+        if (stepping) {
+            reason = `Paused before ${message.command}.`;
+        } else if (breakpoints.includes(`before_${message.command}`)) {
+            reason = `Breakpoint before ${message.command}.`;
+        } else if (Simulation.HERO_ACTIONS.includes(message.command)) {
+            if (breakpoints.includes("facing_wall") && target.wall) {
+                reason = `Breakpoint: ${message.command} targets a wall.`;
+            } else if (breakpoints.includes("facing_object") && target.object) {
+                reason = `Breakpoint: ${message.command} targets a ${target.object}.`;
+            }
+        }
+
+        if (reason) {
+            this.pendingAction = { command: message.command, reason: reason, target: target };
+            this.events.emit("debug_paused", this.pendingAction);
+        }
+        return { pause: reason !== null, reason: reason ?? "", target: target };
+    }
+
+    /**
+     * @returns {{command: string, reason: string, target: Object} | null} The command held by the debugger, see checkBreakpoints().
+     */
+    getPendingAction() {
+        return this.pendingAction;
+    }
+
+    /**
+     * Executes an API command and records it in the trace.
+     * @param {{command: string, data: *}} message The command and its arguments, e.g. {command: "move", data: null}.
+     * @returns {Promise<{success: boolean, message: string, exception: string, result: *}>} The response for the API client.
+     */
+    async processCommand(message) {
+        const isTraceCommand = Simulation.UNTRACED_COMMANDS.includes(message.command);
+        if (Simulation.REPLAY_STOPPING_COMMANDS.includes(message.command)) {
+            this.stopReplay();
+        }
+        if (this.replay && !isTraceCommand) {
+            return {
+                success: false,
+                message: `Request "${message.command}" failed: A trace is being replayed. Stop the replay first.`,
+                exception: "ReplayRunning",
+                result: false
+            };
+        }
+
+        // The command held by the debugger has been released
+        if (this.pendingAction && message.command !== "debug_check") {
+            this.pendingAction = null;
+            this.events.emit("debug_resumed", {});
+        }
+
+        const response = await this.executeCommand(message);
+        if (!isTraceCommand) {
+            this.recordTrace(message, response);
+        }
+        return response;
+    }
+
+    /**
+     * Executes an API command without recording it.
+     * @param {{command: string, data: *}} message The command and its arguments.
+     * @returns {Promise<{success: boolean, message: string, exception: string, result: *}>} The response for the API client.
+     */
+    async executeCommand(message) {
+        let response = {success: true, message: "", exception: "", result: true};
+        const character = this.getCharacterInterface();
+
+        try {
+            switch (message.command) {
+                case 'load_level': 
+                    response.result = await this.loadLevel(message.data);
+                    response.message = response.result ? "Parsing level successful." : "Parsing level failed.";
+                    break;
+
+                case 'reset_level':
+                    response.result = this.resetLevel();
+                    response.message = response.result ? "Level reset successful." : "Resetting level failed. No level loaded.";
+                    break;
+
+                case 'set_speed':
+                    this.setSpeed(message.data?.speed);
+                    response.result = this.getSpeed();
+                    response.message = `Game speed set to ${response.result}.`;
+                    break;
+
+                case 'get_speed':
+                    response.result = this.getSpeed();
+                    response.message = `Game speed is ${response.result}.`;
+                    break;
+
+                case 'get_trace':
+                    response.result = this.getTrace();
+                    response.message = `Trace has ${response.result.length} commands.`;
+                    break;
+
+                case 'replay':
+                    response.result = await this.startReplay(message.data?.level, message.data?.trace);
+                    response.message = `Replaying ${response.result} commands.`;
+                    break;
+
+                case 'debug_check':
+                    response.result = this.checkBreakpoints(message.data?.message ?? {}, message.data?.breakpoints ?? [], message.data?.stepping === true);
+                    response.message = response.result.pause ? response.result.reason : "No breakpoint hit.";
+                    break;
+
+                case 'get_map':
+                    response.result = character.getMap();
+                    response.message = `Map has ${response.result.width}x${response.result.height} tiles and ${response.result.objects.length} objects.`;
+                    break;
+
+                case 'get_objectives':
+                    response.result = character.getObjectives();
+                    response.message = `${response.result.filter(objective => objective.complete).length} of ${response.result.length} objectives complete.`;
+                    break;
+
+                case 'move':
+                    response.result = await character.move();
+                    response.message = response.result ? "Hero moved successfully." : "Moving failed. Way is blocked.";
+                    break;
+
+                case 'interact':
+                    response.result = await character.interact();
+                    response.message = response.result ? "Hero interacted successfully." : "Hero could not interact.";
+                    break;
+
+                case 'pick_up':
+                    response.result = await character.pickUp();
+                    response.message = response.result.length > 0 ? `Hero picked up ${response.result.map(item => item.type).join(", ")}.` : "There is nothing to pick up.";
+                    break;
+
+                case 'drop':
+                    response.result = await character.drop(message.data?.item ?? null);
+                    response.message = response.result ? "Hero dropped the item." : "Hero could not drop the item. The tile in front is not free.";
+                    break;
+
+                case 'get_inventory':
+                    response.result = character.getInventory();
+                    response.message = `Hero carries ${response.result.length} items.`;
+                    break;
+
+                case 'turn_left':
+                    response.result = await character.turnLeft();
+                    response.message = response.result ? "Hero turned left successfully." : "Hero could not turn left.";
+                    break;
+
+                case 'turn_right':
+                    response.result = await character.turnRight();
+                    response.message = response.result ? "Hero turned right successfully." : "Hero could not turn right.";
+                    break;
+
+                case 'turn_around':
+                    response.result = await character.turnAround();
+                    response.message = response.result ? "Hero turned around successfully." : "Hero could not turn around.";
+                    break;
+
+                case 'face':
+                    response.result = await character.face(message.data?.direction);
+                    response.message = response.result ? `Hero is now facing ${message.data.direction}.` : `Hero could not turn.`;
+                    break;
+
+                case 'is_moving':
+                    response.result = character.isMoving();
+                    response.message = response.result ? `Hero is moving.`: `Hero is standing.`
+                    break;
+                
+                case 'configure':
+                    response.result = character.configure(message.data.name, message.data.typeNumber);
+                    response.message = response.result ? "Hero configured successfully." : "Unable to configure hero.";
+                    break;
+
+                case 'is_facing_north':
+                    response.result = character.isFacingNorth();
+                    response.message = response.result ? `Hero is facing north.`: `Hero is not facing north.`
+                    break;
+                
+                case 'is_at_goal':
+                    response.result = character.isAtGoal();
+                    response.message = response.result ? `Hero has reached the goal.`: `Hero is not at the goal.`
+                    break;
+
+                case 'is_collision_in_front':
+                    response.result = character.isCollisionInFront();
+                    response.message = response.result ? `There is a collision in front.`: `There is no collision in front.`
+                    break;
+
+                case 'is_torch_in_front':
+                    response.result = character.isTorchInFront();
+                    response.message = response.result ? `There is a torch in front.`: `There is no torch in front.`
+                    break;
+
+                case 'is_switch_in_front':
+                    response.result = character.isSwitchInFront();
+                    response.message = response.result ? `There is a switch in front.`: `There is no switch in front.`
+                    break;
+
+                case 'get_state':
+                    response.result = character.getState();
+                    response.message = `Hero is at column ${response.result.col}, row ${response.result.row} facing ${response.result.direction}.`;
+                    break;
+
+                case 'look':
+                    response.result = character.look(message.data?.direction);
+                    response.message = response.result.object ? `Hero sees a ${response.result.object.type}.` : `Hero sees nothing special.`;
+                    break;
+
+
+                default:
+                    response.success = false;
+                    response.message = "Error: Command not found."
+                    break;
+            }
+        } catch(error) {
+            console.error(`Request "${message.command}" failed.`)
+            response.success = false;
+            response.result = false;
+            response.message = `Request "${message.command}" failed: ${error.message}`;
+            response.exception = error.exception ?? "WebviewError";
+        }
+
+
+        return response;
+    }
+}
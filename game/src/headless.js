@@ -0,0 +1,80 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Simulation } from './engine.js';
+
+const GAME_FOLDER = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Loads the assets of the game from the file system, see Simulation for the interface.
+ * Images are not loaded since nothing is drawn.
+ */
+export class FileAssetLoader {
+    /**
+     * @param {string} [gameFolder] Folder containing the assets folder of the game.
+     */
+    constructor(gameFolder = GAME_FOLDER) {
+        this.gameFolder = gameFolder;
+    }
+
+    async loadJson(relativePath) {
+        const filePath = path.join(this.gameFolder, relativePath);
+        try {
+            return JSON.parse(await readFile(filePath, 'utf8'));
+        } catch (e) {
+            console.error(`Could not load JSON from ${filePath}: ${e}`);
+            return null;
+        }
+    }
+
+    async loadImage(relativePath) {
+        return null;
+    }
+}
+
+/**
+ * Creates a game that runs in Node without a webview. Hero actions are resolved instantly,
+ * time based objects like realtime enemies only advance when update() is called.
+ * @param {string} [gameFolder] Folder containing the assets folder of the game.
+ * @returns {Simulation} The game, ready to process API commands.
+ */
+export function createHeadlessGame(gameFolder = GAME_FOLDER) {
+    const game = new Simulation(new FileAssetLoader(gameFolder));
+    game.setSpeed("instant");
+    return game;
+}
+
+/**
+ * Plays a level with a list of API commands and prints every response as a line of JSON.
+ * Usage: node headless.js <level.json> <commands.json>
+ * The commands file holds an array like [{"command": "move"}, {"command": "face", "data": {"direction": "north"}}].
+ * Exits with code 0 if the level was completed.
+ */
+async function main(levelFile, commandsFile) {
+    if (!levelFile || !commandsFile) {
+        console.error("Usage: node headless.js <level.json> <commands.json>");
+        return 2;
+    }
+
+    const log = console.log;
+    console.log = () => {};  // keep the output parsable
+
+    const game = createHeadlessGame();
+    const levelData = JSON.parse(await readFile(levelFile, 'utf8'));
+    const commands = JSON.parse(await readFile(commandsFile, 'utf8'));
+
+    const responses = [await game.processCommand({ command: 'load_level', data: levelData })];
+    for (const command of commands) {
+        responses.push(await game.processCommand({ command: command.command, data: command.data ?? null }));
+    }
+
+    for (const response of responses) {
+        log(JSON.stringify(response));
+    }
+    log(JSON.stringify({ state: game.currentGameState, objectives: game.level ? game.level.getObjectives() : [] }));
+    return game.currentGameState === Simulation.GAME_STATE.LEVEL_COMPLETE ? 0 : 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = await main(process.argv[2], process.argv[3]);
+}
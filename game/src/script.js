@@ -1,6 +1,6 @@
 import { Game, GAME_WIDTH, GAME_HEIGHT } from './game.js';
 
-const vscode = acquireVsCodeApi();
+const vscode = isRunningInVSCodeWebview() ? acquireVsCodeApi() : null;
 
 function isRunningInVSCodeWebview() {
     return typeof acquireVsCodeApi === 'function';
@@ -23,10 +23,38 @@ function send_response_vscode(requestId, response) {
     });
 }
 
+function send_event_vscode(event) {
+    vscode.postMessage({
+        command: 'gameEvent',
+        event: event
+    });
+}
+
+// Step or Continue pressed in the debug controls, the held request is released by the extension
+function send_debug_control_vscode(action) {
+    vscode.postMessage({ command: 'debugControl', action: action });
+}
+
 // Websocket if normal javascript in browser
 let socket = null;
-function send_response_websocket(response) {
-    socket.send(JSON.stringify(response));
+function send_response_websocket(requestId, response) {
+    socket.send(JSON.stringify({
+        command: 'webviewResponse',
+        requestId: requestId,
+        response: response
+    }));
+}
+
+function send_event_websocket(event) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ command: 'gameEvent', event: event }));
+    }
+}
+
+function send_debug_control_websocket(action) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ command: 'debugControl', action: action }));
+    }
 }
 
 
@@ -59,7 +87,7 @@ function loadFileAsync(file) {
  
     function resizeCanvas() {
         const scaleX = Math.floor(window.innerWidth / GAME_WIDTH); 
-        const scaleY = Math.floor(window.innerHeight / GAME_HEIGHT); 
+        const scaleY = Math.floor((window.innerHeight - replayControls.offsetHeight - debugControls.offsetHeight) / GAME_HEIGHT); 
         const scale = Math.max(1, Math.min(scaleX, scaleY)); // keep at least 1x 
         const displayWidth = GAME_WIDTH * scale; 
         const displayHeight = GAME_HEIGHT * scale; 
@@ -68,74 +96,21 @@ function loadFileAsync(file) {
     }
 
     async function process_message(game, message, send_response=send_response_websocket) {
-        let response = {success: true, message: "", exception: "", result: true};
-        const character = game.getCharacterInterface();
-
         console.log(`Received command "${message.command}"`);
 
-        try {
-            switch (message.command) {
-                case 'load_level': 
-                    response.result = await game.loadLevel(message.data);
-                    canvas.focus();
-                    response.message = response.result ? "Parsing level successful." : "Parsing level failed.";
-                    break;
-
-                case 'move':
-                    response.result = character.move();
-                    response.message = response.result ? "Hero moved successfully." : "Moving failed. Way is blocked.";
-                    break;
-
-                case 'interact':
-                    response.result = character.interact();
-                    response.message = response.result ? "Hero interacted successfully." : "Hero could not interact.";
-                    break;
-
-                case 'turn_left':
-                    response.result = character.turnLeft();
-                    response.message = "Hero turned left successfully.";
-                    break;
-
-                case 'is_moving':
-                    response.result = character.isMoving();
-                    response.message = response.result ? `Hero is moving.`: `Hero is standing.`
-                    break;
-                
-                case 'configure':
-                    response.result = character.configure(message.data.name, message.data.typeNumber);
-                    response.message = response.result ? "Hero configured successfully." : "Unable to configure hero.";
-
-                case 'is_facing_north':
-                    response.result = character.isFacingNorth();
-                    response.message = response.result ? `Hero is facing north.`: `Hero is not facing north.`
-                    break;
-                
-                case 'is_at_goal':
-                    response.result = character.isAtGoal();
-                    response.message = response.result ? `Hero has reached the goal.`: `Hero is not at the goal.`
-                    break;
-
-                case 'is_collision_in_front':
-                    response.result = character.isCollisionInFront();
-                    response.message = response.result ? `There is a collision in front.`: `There is no collision in front.`
-                    break;
-
-                case 'is_torch_in_front':
-                    response.result = character.isTorchInFront();
-                    response.message = response.result ? `There is a torch in front.`: `There is no torch in front.`
-                    break;
-
-
-                default:
-                    response.success = false;
-                    response.message = "Error: Command not found."
-                    break;
-            }
-        } catch(error) {
-            console.error(`Request "${message.command}" failed.`)
-            response.success = false;
+        // The HUD is a setting of the webview, it is not part of the game or its trace
+        if (message.command === 'set_hud') {
+            game.setHudVisible(message.data?.visible !== false);
+            send_response(message.requestId, { success: true, message: `HUD is ${game.hudVisible ? "shown" : "hidden"}.`, exception: "", result: game.hudVisible });
+            return;
         }
 
+        const response = await game.processCommand(message);
+        if (message.command === 'load_level' || message.command === 'reset_level') {
+            canvas.focus();
+        }
+        game.showCommandResult(message, response);
+
         send_response(message.requestId, response);
     }
 
@@ -151,6 +126,7 @@ function loadFileAsync(file) {
     }
 
     const game = new Game(canvas, getAssetPath(""));
+    game.setHudVisible(typeof HudVisible === 'undefined' || HudVisible !== 'false');
     game.start();
 
     fileInput.addEventListener('change', async (event) => {
@@ -168,18 +144,142 @@ function loadFileAsync(file) {
         }
     });
 
+    game.events.on(isRunningInVSCodeWebview() ? send_event_vscode : send_event_websocket);
+
+    // Replay of a recorded trace with pause, step and scrub
+    const replayControls = document.getElementById('replay-controls');
+    const replayPlayButton = document.getElementById('replay-play');
+    const replayStepButton = document.getElementById('replay-step');
+    const replayPosition = document.getElementById('replay-position');
+    const replayLabel = document.getElementById('replay-label');
+    const replayStopButton = document.getElementById('replay-stop');
+    let replayPlaying = false;
+    let replayQueue = Promise.resolve();
+    let lastReplayStep = null;
+
+    // Replay operations run one after the other, e.g. a seek waits for the step being played back
+    function queueReplay(operation) {
+        replayQueue = replayQueue
+            .then(() => game.getReplay() ? operation(game.getReplay()) : null)
+            .catch(error => {
+                console.error('Replay failed:', error);
+                return null;
+            });
+        return replayQueue;
+    }
+
+    function updateReplayControls() {
+        const replay = game.getReplay();
+        if (!replay) {
+            return;
+        }
+        replayPosition.max = replay.getLength();
+        replayPosition.value = replay.getPosition();
+        replayPlayButton.textContent = replayPlaying ? "Pause" : "Play";
+
+        let label = `${replay.getPosition()} / ${replay.getLength()}`;
+        if (lastReplayStep) {
+            label += ` ${lastReplayStep.entry.command}`;
+            if (!lastReplayStep.matches) {
+                label += " (hero differs from the recording)";
+            }
+        }
+        replayLabel.textContent = label;
+    }
+
+    async function playReplay() {
+        replayPlaying = true;
+        updateReplayControls();
+        while (replayPlaying) {
+            const step = await queueReplay(replay => replay.step());
+            if (!step) {
+                break;
+            }
+            lastReplayStep = step;
+            updateReplayControls();
+        }
+        replayPlaying = false;
+        updateReplayControls();
+    }
+
+    replayPlayButton.addEventListener('click', () => {
+        if (replayPlaying) {
+            replayPlaying = false;
+        } else {
+            playReplay();
+        }
+    });
+
+    replayStepButton.addEventListener('click', async () => {
+        replayPlaying = false;
+        const step = await queueReplay(replay => replay.step());
+        if (step) {
+            lastReplayStep = step;
+        }
+        updateReplayControls();
+    });
+
+    replayPosition.addEventListener('input', async () => {
+        replayPlaying = false;
+        lastReplayStep = null;
+        await queueReplay(replay => replay.seek(Number(replayPosition.value)));
+        updateReplayControls();
+    });
+
+    replayStopButton.addEventListener('click', () => {
+        replayPlaying = false;
+        game.stopReplay();
+    });
+
+    game.events.on(event => {
+        if (event.type === 'replay_started') {
+            lastReplayStep = null;
+            replayControls.style.display = 'flex';
+            resizeCanvas();
+            if (!replayPlaying) {
+                playReplay();
+            }
+        } else if (event.type === 'replay_stopped') {
+            replayControls.style.display = 'none';
+            resizeCanvas();
+        }
+    });
+
+    // Debug mode of the extension: a hero request is held until Step or Continue is pressed
+    const debugControls = document.getElementById('debug-controls');
+    const debugLabel = document.getElementById('debug-label');
+    const send_debug_control = isRunningInVSCodeWebview() ? send_debug_control_vscode : send_debug_control_websocket;
+
+    document.getElementById('debug-step').addEventListener('click', () => send_debug_control('step'));
+    document.getElementById('debug-continue').addEventListener('click', () => send_debug_control('continue'));
+
+    game.events.on(event => {
+        if (event.type === 'debug_paused') {
+            debugLabel.textContent = event.data.reason;
+            debugControls.style.display = 'flex';
+            resizeCanvas();
+        } else if (event.type === 'debug_resumed') {
+            debugControls.style.display = 'none';
+            resizeCanvas();
+        }
+    });
+
     if (!isRunningInVSCodeWebview()) {
-        socket = new WebSocket("ws://127.0.0.1:8000/ws/game");
+        // Served by "dungeon-coder serve" or opened as a file
+        const host = window.location.protocol.startsWith("http") ? window.location.host : "127.0.0.1:8000";
+        socket = new WebSocket(`ws://${host}/ws/game`);
         socket.onopen = () => {
             socket.onmessage = (event) => {
                 const data = JSON.parse(event.data);
                 process_message(game, data, send_response_websocket);
             };
+            socket.send(JSON.stringify({ command: 'webviewReady' }));
         };
     } else {
         window.addEventListener('message', event => {
             process_message(game, event.data, send_response_vscode);
         });
+        vscode.postMessage({ command: 'webviewReady' });
     }
 
     window.addEventListener("resize", resizeCanvas); 
@@ -2,14 +2,26 @@ import requests
 import json
 import os
 
+class DungeonCoderException(RuntimeError):
+    """
+    Raised when the game rejects a command, e.g. because the level does not allow it.
+    
+    Attributes:
+        exception: Name of the exception reported by the game, e.g. 'ActionBudgetExceeded'.
+    """
+    def __init__(self, exception: str, message: str):
+        super().__init__(f"{exception}: {message}")
+        self.exception = exception
+
 def send_request(url: str, 
                  method: str = 'GET',
                  data: dict = None,
                  headers: dict = None, 
-                 timeout = 1):
+                 timeout = 1,
+                 params: dict = None):
     try:
         if method == 'GET':
-            response = requests.get(url, json=data, headers=headers, timeout=timeout)
+            response = requests.get(url, json=data, headers=headers, timeout=timeout, params=params)
         elif method == 'POST':
             response = requests.post(url, json=data, headers=headers, timeout=timeout)
         else:
@@ -20,6 +32,9 @@ def send_request(url: str,
         return response
 
     except requests.HTTPError as http_err:
+        # Errors reported by the game carry a JSON payload that is evaluated by parse_api_response
+        if http_err.response is not None and "application/json" in http_err.response.headers.get("Content-Type", ""):
+            return http_err.response
         print(f"HTTP error occurred: {http_err} for URL: {url}")
     except requests.ConnectionError as conn_err:
         print(f"Connection error occurred. Did you start the Dungeon Coder Plugin?")
@@ -38,7 +53,7 @@ def parse_api_response(response: requests.Response) -> bool:
     Parses a successful HTTP response, checks for an API 'success' flag, 
     and raises a meaningful exception on failure.
     """
-    if not response:
+    if response is None:
         return False
     
     if not response.content:
@@ -49,6 +64,9 @@ def parse_api_response(response: requests.Response) -> bool:
     except requests.JSONDecodeError:
         raise RuntimeError(f"Failed to decode JSON. Response: {response.text[:50]}...")
 
+    if data.get("status") == "error" and data.get("exception"):
+        raise DungeonCoderException(data["exception"], data.get("message", "API response payload indicated failure."))
+
     if "status" in data and "result" in data:
         if data["status"] == "success":
             return data["result"]
@@ -58,66 +76,173 @@ def parse_api_response(response: requests.Response) -> bool:
     
     return False
 
+# Seconds to wait for the answer to a hero request. The game answers within seconds, but its
+# debug mode, enabled in VS Code or with Game.set_debug(), holds requests until the user steps.
+HERO_TIMEOUT = 600
+
 class Hero:
     """
     A class to control the hero's actions and get its state.
     """
     def __init__(self, base_url):
         self.BASE_URL = base_url       
+        self.timeout = HERO_TIMEOUT
    
     def configure(self, name: str, typeNumber: int):
         URL = f"{self.BASE_URL}/hero/configure"
-        response = send_request(URL, 'POST', data={"name":name, "typeNumber": typeNumber})
+        response = send_request(URL, 'POST', data={"name":name, "typeNumber": typeNumber}, timeout=self.timeout)
         return parse_api_response(response)
 
     def move(self):
         """Sends a command to move the hero forward."""
         URL = f"{self.BASE_URL}/hero/move"
-        response = send_request(URL, 'POST')
+        response = send_request(URL, 'POST', timeout=self.timeout)
         return parse_api_response(response)
 
     def turn_left(self):
         """Sends a command to turn the hero to the left."""
         URL = f"{self.BASE_URL}/hero/turn_left"
-        response = send_request(URL, 'POST')
+        response = send_request(URL, 'POST', timeout=self.timeout)
+        return parse_api_response(response)
+
+    def turn_right(self):
+        """Sends a command to turn the hero to the right."""
+        URL = f"{self.BASE_URL}/hero/turn_right"
+        response = send_request(URL, 'POST', timeout=self.timeout)
+        return parse_api_response(response)
+
+    def turn_around(self):
+        """Sends a command to turn the hero around."""
+        URL = f"{self.BASE_URL}/hero/turn_around"
+        response = send_request(URL, 'POST', timeout=self.timeout)
+        return parse_api_response(response)
+
+    def face(self, direction: str):
+        """Sends a command to turn the hero to a direction ('north', 'east', 'south' or 'west')."""
+        URL = f"{self.BASE_URL}/hero/face"
+        response = send_request(URL, 'POST', data={"direction": direction}, timeout=self.timeout)
         return parse_api_response(response)
 
     def interact(self):
         """Sends a command for the hero to interact with an object."""
         URL = f"{self.BASE_URL}/hero/interact"
-        response = send_request(URL, 'POST')
+        response = send_request(URL, 'POST', timeout=self.timeout)
+        return parse_api_response(response)
+
+    def pick_up(self):
+        """
+        Takes the item in front of the hero or the contents of the open chest or broken jug in front.
+
+        Returns:
+            list: The items taken, each a dict {'type', 'name'}. Empty if there was nothing to take.
+        """
+        URL = f"{self.BASE_URL}/hero/pick_up"
+        response = send_request(URL, 'POST', timeout=self.timeout)
+        return parse_api_response(response)
+
+    def drop(self, item: str = None):
+        """
+        Drops a carried item onto the free tile in front of the hero.
+
+        Args:
+            item (str): The item, e.g. 'Coin' or 'Key:gold'. None drops the item taken last.
+        """
+        URL = f"{self.BASE_URL}/hero/drop"
+        response = send_request(URL, 'POST', data={"item": item}, timeout=self.timeout)
+        return parse_api_response(response)
+
+    def get_inventory(self):
+        """
+        Gets the items carried by the hero.
+
+        Returns:
+            list: The items, each a dict {'type', 'name'}.
+        """
+        URL = f"{self.BASE_URL}/hero/inventory"
+        response = send_request(URL, 'GET', timeout=self.timeout)
         return parse_api_response(response)
 
     def is_collision_in_front(self):
         """Checks if there is a collision in front of the hero."""
         URL = f"{self.BASE_URL}/hero/is_collision_in_front"
-        response = send_request(URL, 'GET')
+        response = send_request(URL, 'GET', timeout=self.timeout)
         return parse_api_response(response)
     
     def is_switch_in_front(self):
         """Checks if there is a switch in front of the hero."""
         URL = f"{self.BASE_URL}/hero/is_switch_in_front"
-        response = send_request(URL, 'GET')
+        response = send_request(URL, 'GET', timeout=self.timeout)
         return parse_api_response(response)
     
+    def get_state(self):
+        """
+        Gets the state of the hero.
+        
+        Returns:
+            dict: {'col', 'row', 'direction', 'moving', 'alive', 'name', 'typeNumber', 'actionCounters'}
+        """
+        URL = f"{self.BASE_URL}/hero/state"
+        response = send_request(URL, 'GET', timeout=self.timeout)
+        return parse_api_response(response)
+
+    def look(self, direction: str = "front"):
+        """
+        Inspects a tile relative to the hero.
+        
+        Args:
+            direction (str): 'front', 'left', 'right', 'back' or 'here'.
+        
+        Returns:
+            dict: {'direction': absolute direction, 'collision': bool, 
+                   'object': {'id', 'name', 'type', 'state'} or None}
+        """
+        URL = f"{self.BASE_URL}/hero/look"
+        response = send_request(URL, 'GET', params={"dir": direction}, timeout=self.timeout)
+        return parse_api_response(response)
+
     def is_facing_north(self):
         """Checks if the hero is facing north."""
         URL = f"{self.BASE_URL}/hero/is_facing_north"
-        response = send_request(URL, 'GET')
+        response = send_request(URL, 'GET', timeout=self.timeout)
         return parse_api_response(response)
 
     def is_torch_in_front(self):
         """Checks if there is a switch in front of the hero."""
         URL = f"{self.BASE_URL}/hero/is_torch_in_front"
-        response = send_request(URL, 'GET')
+        response = send_request(URL, 'GET', timeout=self.timeout)
         return parse_api_response(response)
     
     def is_at_goal(self):
         """Checks if the hero is at the goal."""
         URL = f"{self.BASE_URL}/hero/is_at_goal"
-        response = send_request(URL, 'GET')
+        response = send_request(URL, 'GET', timeout=self.timeout)
         return parse_api_response(response)
 
+DEFAULT_BASE_URL = "http://localhost:3000"
+DISCOVERY_FILE_NAME = ".dungeoncoder"
+
+def discover_base_url(start_dir: str = None) -> str:
+    """
+    Searches the start directory and its parents for the discovery file written 
+    by the Dungeon Coder extension and returns the API URL stored in it.
+    Falls back to the default URL if no discovery file is found.
+    """
+    directory = os.path.abspath(start_dir or os.getcwd())
+    while True:
+        discovery_file = os.path.join(directory, DISCOVERY_FILE_NAME)
+        if os.path.isfile(discovery_file):
+            try:
+                with open(discovery_file, 'r') as f:
+                    return json.load(f)["url"]
+            except (OSError, ValueError, KeyError):
+                print(f"Warning: Discovery file {discovery_file} is invalid. Using {DEFAULT_BASE_URL}.")
+                return DEFAULT_BASE_URL
+
+        parent = os.path.dirname(directory)
+        if parent == directory:
+            return DEFAULT_BASE_URL
+        directory = parent
+
 class Game:
     """
     A class to interact with the hero game API.
@@ -127,20 +252,109 @@ class Game:
         level: An instance of Level, which handles level-related commands.
     """
     
-    BASE_URL = "http://localhost:3000"
+    # Address of the API. If None, it is read from the discovery file whenever a game is created,
+    # so a server started after the import or on a fallback port is found.
+    BASE_URL = None
+
+    def __init__(self, level_file, session: str = None):
+        """
+        Args:
+            level_file (str): The path to the JSON file containing the level data.
+            session (str): Optional id of the game session to control. If omitted, 
+                the most recently started session is used.
+        """
+        base_url = self.BASE_URL or discover_base_url()
+        if session is not None:
+            base_url = f"{base_url}/sessions/{session}"
 
-    def __init__(self, level_file):
-        self.__level = self.Level(self.BASE_URL)
+        self.__level = self.Level(base_url)
         try:
             self.__level.load(level_file)
         except:
             print(f"Error: Level {level_file} could not be loaded. Please make sure the file exists and is valid.")
 
-        self.__hero = Hero(self.BASE_URL)
+        self.__hero = Hero(base_url)
+        self.__base_url = base_url
 
     def get_hero(self):
         return self.__hero
 
+    def get_level(self):
+        return self.__level
+
+    def set_speed(self, speed: str):
+        """
+        Sets how fast the hero's actions are played back.
+
+        Args:
+            speed (str): '1x', '4x' or 'instant'. With 'instant' every action is answered 
+                at once without waiting for its animation.
+        """
+        URL = f"{self.__base_url}/game/speed"
+        response = send_request(URL, 'POST', data={"speed": speed})
+        return parse_api_response(response)
+
+    def get_speed(self):
+        """Gets the playback speed, i.e. '1x', '4x' or 'instant'."""
+        URL = f"{self.__base_url}/game/speed"
+        response = send_request(URL, 'GET')
+        return parse_api_response(response)
+
+    def get_trace(self):
+        """
+        Gets the commands processed since the level was loaded. Save it as JSON, e.g. with 
+        json.dump(), to replay the run with the command 'Replay Dungeon Coder Trace' in VS Code.
+
+        Returns:
+            list: {'timestamp', 'command', 'data', 'success', 'result', 'message', 'exception',
+                   'hero': {'col', 'row', 'direction'} after the command} for every command
+        """
+        URL = f"{self.__base_url}/game/trace"
+        response = send_request(URL, 'GET')
+        return parse_api_response(response)
+
+    def set_debug(self, enabled: bool, breakpoints: list = None):
+        """
+        Enables or disables the debug mode. In debug mode hero actions are held until 
+        Step or Continue is pressed in the game.
+
+        Args:
+            enabled (bool): True to enable the debug mode.
+            breakpoints (list): Optional conditions to pause on: 'facing_wall', 'facing_object' 
+                or 'before_<command>', e.g. 'before_interact'. Without breakpoints every action is held.
+        """
+        URL = f"{self.__base_url}/game/debug"
+        data = {"enabled": enabled}
+        if breakpoints is not None:
+            data["breakpoints"] = breakpoints
+        response = send_request(URL, 'POST', data=data)
+        return parse_api_response(response)
+
+    def get_debug(self):
+        """
+        Gets the debug settings.
+
+        Returns:
+            dict: {'enabled', 'breakpoints', 'paused'}
+        """
+        URL = f"{self.__base_url}/game/debug"
+        response = send_request(URL, 'GET')
+        return parse_api_response(response)
+
+    def events(self):
+        """
+        Yields the events pushed by the game as dictionaries with the keys 
+        'type', 'timestamp' and 'data', e.g. {'type': 'hero_move_finished', ...}.
+        Blocks until the next event arrives.
+        """
+        URL = f"{self.__base_url}/events"
+        with requests.get(URL, stream=True) as response:
+            for line in response.iter_lines(decode_unicode=True):
+                if line and line.startswith("data:"):
+                    event = json.loads(line[len("data:"):])
+                    if "type" in event:
+                        yield event
+
     class Level:
         """
         A class to manage game levels.
@@ -166,6 +380,30 @@ class Game:
             response = send_request(URL, 'POST', level_data, headers)
             return parse_api_response(response)
 
+        def get_map(self):
+            """
+            Gets the map of the current level. Only available in levels that reveal their map.
+            
+            Returns:
+                dict: {'width', 'height', 'grid': grid[row][col] is True for walls, 
+                       'objects': list of {'id', 'name', 'type', 'state', 'collision', 'col', 'row'},
+                       'goal': {'col', 'row'} or None}
+            """
+            URL = f"{self.BASE_URL}/level/map"
+            response = send_request(URL, 'GET')
+            return parse_api_response(response)
+
+        def get_objectives(self):
+            """
+            Gets the progress of the level objectives.
+            
+            Returns:
+                list: {'id', 'description', 'progress', 'target', 'limit', 'complete', 'failed'} for every objective
+            """
+            URL = f"{self.BASE_URL}/level/objectives"
+            response = send_request(URL, 'GET')
+            return parse_api_response(response)
+
         def reset(self):
             """Resets the current level."""
             URL = f"{self.BASE_URL}/level/reset"
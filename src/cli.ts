@@ -0,0 +1,155 @@
+import * as path from 'path';
+import * as fs from 'fs';
+import { randomBytes } from 'crypto';
+import express from 'express';
+import { IncomingMessage, Server } from 'http';
+import { WebSocketServer } from 'ws';
+import { GameSession, JSON_BODY_LIMIT, createApiRouter, isAllowedOrigin, listenWithFallback, getServerUrl, writeDiscoveryFile, removeDiscoveryFile } from './server';
+
+// The game in the browser connects to this port if index.html is opened as a file.
+const DEFAULT_PORT = 8000;
+const DEFAULT_HOST = '127.0.0.1';
+const GAME_FOLDER = path.join(__dirname, '..', 'game');
+
+const USAGE = `Usage: dungeon-coder serve [--port <port>] [--host <host>] [--no-hud]
+
+Serves the game for a normal browser and the REST API for the Python client.
+  --port    Port of the game and the API (default ${DEFAULT_PORT}).
+  --host    Address to bind to (default ${DEFAULT_HOST}). Use 0.0.0.0 to make it reachable from other machines.
+  --no-hud  Hide the hero, action counters, objectives and last command on top of the game.`;
+
+interface ServeOptions {
+    port: number;
+    host: string;
+    hud: boolean;
+}
+
+function parseServeOptions(args: string[]): ServeOptions {
+    const options: ServeOptions = { port: DEFAULT_PORT, host: DEFAULT_HOST, hud: true };
+    for (let i = 0; i < args.length; i++) {
+        const value = args[i + 1];
+        switch (args[i]) {
+            case '--port':
+                options.port = Number(value);
+                if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+                    throw new Error(`Port "${value}" is invalid.`);
+                }
+                i++;
+                break;
+            case '--host':
+                if (!value) {
+                    throw new Error('Missing address after --host.');
+                }
+                options.host = value;
+                i++;
+                break;
+            case '--no-hud':
+                options.hud = false;
+                break;
+            default:
+                throw new Error(`Unknown option "${args[i]}".`);
+        }
+    }
+    return options;
+}
+
+// index.html is written for the VS Code webview, its placeholders point to the game folder served at /.
+function getIndexContent(options: ServeOptions): string {
+    const htmlContent = fs.readFileSync(path.join(GAME_FOLDER, 'index.html'), 'utf8');
+    return htmlContent
+        .replace(/\$\{webview.cspSource\}/g, "'self'")
+        .replace(/\$\{nonce\}/g, randomBytes(16).toString('base64'))
+        .replace(/\$\{gameFolderUri\}/g, '')
+        .replace(/\$\{hudVisible\}/g, String(options.hud));
+}
+
+async function serve(options: ServeOptions) {
+    const sessions = new Map<string, GameSession>();
+    let nextSessionNumber = 1;
+    let server: Server | undefined;
+    let serverUrl: string | undefined;
+    let discoveryFilePath: string | undefined;
+
+    const updateDiscoveryFile = () => {
+        if (server && serverUrl) {
+            discoveryFilePath = writeDiscoveryFile(process.cwd(), server, serverUrl, Array.from(sessions.keys()));
+        }
+    };
+
+    const app = express();
+    app.use(express.json({ limit: JSON_BODY_LIMIT }));
+    app.get(['/', '/index.html'], (req, res) => {
+        res.type('html').send(getIndexContent(options));
+    });
+    app.use(express.static(GAME_FOLDER, { index: false }));
+    app.use(createApiRouter(sessions));
+
+    server = await listenWithFallback(app, options.port, options.host);
+    serverUrl = getServerUrl(server, options.host);
+
+    // Every browser tab is a session, just like a webview panel in VS Code
+    const webSocketServer = new WebSocketServer({
+        server,
+        path: '/ws/game',
+        verifyClient: (info: { origin: string, req: IncomingMessage }) => isAllowedOrigin(info.origin, serverUrl!, options.host, info.req.headers.host)
+    });
+    webSocketServer.on('connection', socket => {
+        const sessionId = (nextSessionNumber++).toString();
+        const session = new GameSession(sessionId, message => socket.send(JSON.stringify(message)));
+        sessions.set(sessionId, session);
+        console.log(`Browser connected. Session ${sessionId} is available at ${serverUrl}/sessions/${sessionId}`);
+        updateDiscoveryFile();
+
+        socket.on('message', data => {
+            try {
+                session.handleWebviewMessage(JSON.parse(data.toString()));
+            } catch (error: any) {
+                console.error(`Invalid message from session ${sessionId}: ${error.message}`);
+            }
+        });
+
+        socket.on('close', () => {
+            console.log(`Browser of session ${sessionId} disconnected.`);
+            session.dispose();
+            sessions.delete(sessionId);
+            updateDiscoveryFile();
+        });
+    });
+
+    const shutdown = () => {
+        console.log('Stopping server...');
+        if (discoveryFilePath) {
+            removeDiscoveryFile(discoveryFilePath);
+        }
+        for (const session of sessions.values()) {
+            session.dispose();
+        }
+        webSocketServer.close();
+        server?.close(() => process.exit(0));
+        server?.closeAllConnections();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    updateDiscoveryFile();
+    console.log(`Dungeon Coder is running. Open ${serverUrl} in your browser to enter the dungeon!`);
+}
+
+async function main(args: string[]) {
+    const [command, ...options] = args;
+    if (command !== 'serve') {
+        console.log(USAGE);
+        process.exitCode = command === undefined || command === '--help' ? 0 : 1;
+        return;
+    }
+
+    try {
+        await serve(parseServeOptions(options));
+    } catch (error: any) {
+        console.error(`Dungeon Coder could not be started: ${error.message}`);
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2));
@@ -3,215 +3,106 @@ import * as path from 'path';
 import * as fs from 'fs';
 import express from 'express';
 import { Server } from 'http'; 
+import { AddressInfo } from 'net';
+import { GameSession, JSON_BODY_LIMIT, BREAKPOINT_CONDITIONS, HERO_ACTIONS, createApiRouter, listenWithFallback, getServerUrl, writeDiscoveryFile as writeDiscoveryFileTo, removeDiscoveryFile as removeDiscoveryFileAt } from './server';
 
-let webviewPanel: vscode.WebviewPanel | undefined;
 let serverInstance: Server | undefined;
+let serverUrl: string | undefined;
+let serverStatusBarItem: vscode.StatusBarItem | undefined;
+let discoveryFilePath: string | undefined;
 
-const pendingWebviewRequests = new Map<string, (result: WebviewResponse) => void>();
+const sessions = new Map<string, GameSession>();
+let nextSessionNumber = 1;
 
-interface WebviewResponse {
-  success: boolean;
-  message: string;
-  exception: string;
-  result: boolean;
-}
-
-const delay = (ms: number): Promise<void> => new Promise(resolve => setTimeout(resolve, ms));
-
-async function sendMessageToWebview(message: any): Promise<WebviewResponse> {
-    if (!webviewPanel) {
-        vscode.window.showErrorMessage('Webview not open.');
-        return {success: false, message: "Webview not open.", exception: "WebViewNotOpen", result: false};
+function writeDiscoveryFile() {
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+    if (!workspaceFolder || !serverInstance || !serverUrl) {
+        return;
     }
 
-    const requestId = Date.now().toString() + Math.random().toString(36).substring(2, 9);
-    const messageWithId = { ...message, requestId };
-
-    return new Promise(resolve => {
-        pendingWebviewRequests.set(requestId, resolve);
-        webviewPanel!.webview.postMessage(messageWithId);
-    });
+    discoveryFilePath = writeDiscoveryFileTo(workspaceFolder.uri.fsPath, serverInstance, serverUrl, Array.from(sessions.keys()));
 }
- 
-function startServer(sendToWebview: (cmd: string) => void) {
-    const app = express();
-    app.use(express.json());
-
-    // Helper function to wait for a specific duration
-    const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
-
-    // Helper function to poll the webview until the condition is met
-    async function pollUntilStopped(pollInterval = 10): Promise<void> {
-        while (true) {
-            const isMovingResponse = await sendMessageToWebview({
-                command: "is_moving",
-                data: null
-            });
-
-            // Check if the hero has stopped moving.
-            // We check for success AND result being false (not moving)
-            if (isMovingResponse.success && !isMovingResponse.result) {
-                return; // Exit the loop and resolve the promise
-            }
 
-            // Wait for the specified interval before polling again
-            await delay(pollInterval);
-        }
+function removeDiscoveryFile() {
+    if (discoveryFilePath) {
+        removeDiscoveryFileAt(discoveryFilePath);
+        discoveryFilePath = undefined;
     }
+}
 
-    app.post('/hero/move', async (req, res) => {
-        try {
-            // 1. Send the initial move command
-            const webview_response = await sendMessageToWebview({
-                command: "move",
-                data: null
-            });
-
-            if (!webview_response.success) {
-                // The initial move command was not successful
-                return res.status(500).json({ status: 'error', message: webview_response.message });
-            }
-
-            // 2. Poll the is_moving API until the hero stops
-            // Set the poll interval to 10ms as in your original code
-            await pollUntilStopped(10); 
-
-            // 3. Send the final success response once polling is complete
-            res.status(200).json({ status: 'success', message: 'Hero has stopped moving' });
-
-        } catch (error: any) {
-            console.error('API Error:', error);
-            // Ensure the response is sent even on unexpected errors during move or polling
-            if (!res.headersSent) {
-                res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
-            }
-        }
-    });
-
-    app.post('/hero/configure', async (req, res) => {
-        try {
-            const config = req.body;
-            const response = await sendMessageToWebview({
-                command: "configure",
-                data: config
-            });
-
-            if (response.success) {
-                res.status(200).json({ status: 'success', message: response.message });
-            } else {
-                res.status(500).json({ status: 'error', message: response.message });
-            }
-        } catch (error: any) {
-            console.error('API Error:', error);
-            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
-        }
-    });
-
-    app.post('/hero/turn_left', async (req, res) => {
-        try {
-            const response = await sendMessageToWebview({
-                command: "turn_left",
-                data: null
-            });
-
-            await delay(200);
+function showServerStatus() {
+    if (!serverUrl) {
+        return;
+    }
+    if (!serverStatusBarItem) {
+        serverStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left);
+    }
+    const sessionIds = Array.from(sessions.keys());
+    serverStatusBarItem.text = `$(radio-tower) Dungeon Coder: ${serverUrl}`;
+    if (sessionIds.length > 1) {
+        serverStatusBarItem.text += ` (${sessionIds.length} sessions)`;
+    }
+    serverStatusBarItem.tooltip = `Dungeon Coder API is listening on this address.\nSessions: ${sessionIds.join(', ')}`;
+    serverStatusBarItem.show();
+}
 
-            if (response.success) {
-                res.status(200).json({ status: 'success', message: response.message });
-            } else {
-                res.status(500).json({ status: 'error', message: response.message });
-            }
-        } catch (error: any) {
-            console.error('API Error:', error);
-            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
-        }
-    });
+async function startServer() {
+    if (serverInstance) {
+        console.log('Server is already running.');
+        return;
+    }
 
-    app.post('/hero/interact', async (req, res) => {
-        try {
-            const response = await sendMessageToWebview({
-                command: "interact",
-                data: null
-            });
-            if (response.success) {
-                res.status(200).json({ status: 'success', message: response.message });
-            } else {
-                res.status(500).json({ status: 'error', message: response.message });
-            }
-        } catch (error: any) {
-            console.error('API Error:', error);
-            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
-        }
-    });
+    const app = express();
+    app.use(express.json({ limit: JSON_BODY_LIMIT }));
+    app.use(createApiRouter(sessions));
 
-    const get_endpoints = [
-        'is_collision_in_front',
-        'is_facing_north',
-        'is_at_goal',
-        'is_torch_in_front'
-    ];
-
-    get_endpoints.forEach((get_endpoint) => {
-        app.get(`/hero/${get_endpoint}`, async (req, res) => {
-            try {
-                const response = await sendMessageToWebview({
-                    command: get_endpoint,
-                    data: null
-                });
-                if (response.success) {
-                    res.status(200).json({ status: 'success', message: response.message, result: response.result });
-                } else {
-                    res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
-                }
-            } catch (error: any) {
-                console.error('API Error:', error);
-                res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
-            }
-        });
-    });
+    const config = vscode.workspace.getConfiguration('dungeonCoder');
+    const port = config.get<number>('server.port', 3000);
+    const host = config.get<string>('server.host', '127.0.0.1');
 
-    app.post('/level/load', async (req, res) => {
-        const level = req.body; 
-        
-        try {
-            if (webviewPanel) {
-                const response = await sendMessageToWebview({ command: 'load_level', data: level });
-                if (response.success) {
-                    res.status(200).json({ status: 'success', message: response.message });
-                } else {
-                    res.status(500).json({ status: 'error', message: response.message });
-                }
-            }
-        } catch (error: any) {
-            console.error('API Error:', error);
-            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
-        }
-    });
+    try {
+        serverInstance = await listenWithFallback(app, port, host);
+    } catch (error: any) {
+        vscode.window.showErrorMessage(`Dungeon Coder API could not be started: ${error.message}`);
+        return;
+    }
 
-    serverInstance = app.listen(3000, () => console.log('API running on http://localhost:3000'));
+    serverUrl = getServerUrl(serverInstance, host);
+    const actualPort = (serverInstance.address() as AddressInfo).port;
+    if (actualPort !== port) {
+        vscode.window.showWarningMessage(`Port ${port} is in use. Dungeon Coder API is running on ${serverUrl} instead.`);
+    }
+    console.log(`API running on ${serverUrl}`);
+    showServerStatus();
+    writeDiscoveryFile();
 }
 
 export function stopServer() {
     if (serverInstance) {
         console.log('Stopping server...');
-        
-        serverInstance.close((err) => {
+        removeDiscoveryFile();
+        serverStatusBarItem?.hide();
+
+        const server = serverInstance;
+        serverInstance = undefined;
+        serverUrl = undefined;
+        server.close((err) => {
             if (err) {
                 console.error('Error stopping server:', err);
                 return;
             }
             console.log('Server stopped successfully.');
-            serverInstance = undefined;
         });
     } else {
         console.log('Server is not running.');
     }
 }
 
-async function createWebview(context: vscode.ExtensionContext) {
-    webviewPanel = vscode.window.createWebviewPanel(
+async function createSession(context: vscode.ExtensionContext): Promise<GameSession> {
+    const sessionId = (nextSessionNumber++).toString();
+    const webviewPanel = vscode.window.createWebviewPanel(
         'gamePanel',
-        'Dungeon Coder - Live View',
+        `Dungeon Coder - Live View (Session ${sessionId})`,
         vscode.ViewColumn.Beside,
         {
             enableScripts: true,
@@ -220,36 +111,36 @@ async function createWebview(context: vscode.ExtensionContext) {
         }
     );
 
+    const session = new GameSession(sessionId, message => webviewPanel.webview.postMessage(message));
+    sessions.set(sessionId, session);
+    // Lists the new session if the server is already running, otherwise startServer() does
+    showServerStatus();
+    writeDiscoveryFile();
+
     webviewPanel.webview.onDidReceiveMessage(
-        message => {
-            switch (message.command) {
-                case 'webviewResponse':
-                    const requestId = message.requestId;
-                    const response = message.response;
-                    if (pendingWebviewRequests.has(requestId)) {
-                        const resolve = pendingWebviewRequests.get(requestId);
-                        if (resolve) {
-                            resolve(response);
-                            pendingWebviewRequests.delete(requestId);
-                        }
-                    }
-                    return;
-            }
-        },
+        message => session.handleWebviewMessage(message),
         undefined,
         context.subscriptions
     );
 
     webviewPanel.onDidDispose(
         () => {
-            console.log('Webview panel closed. Cleaning up...');    
-            stopServer();
+            console.log(`Webview panel of session ${sessionId} closed. Cleaning up...`);
+            session.dispose();
+            sessions.delete(sessionId);
+            if (sessions.size === 0) {
+                stopServer();
+            } else {
+                showServerStatus();
+                writeDiscoveryFile();
+            }
         },
         null,
         context.subscriptions
     );
 
     webviewPanel.webview.html = await getWebviewContent(webviewPanel.webview, context.extensionPath);
+    return session;
 }
 
 export function activate(context: vscode.ExtensionContext) {
@@ -259,16 +150,133 @@ export function activate(context: vscode.ExtensionContext) {
 
         console.log('Dungeon Coder loaded successfully. Have fun coding!');
 
-        let disposable = vscode.commands.registerCommand('vscode-dungeon-coder.startGame', () => {
-            vscode.window.showInformationMessage('Enter the dungeon!');
-            createWebview(context);  
-            startServer((cmd: string) => {
-                if (webviewPanel)
-                    webviewPanel.webview.postMessage({ command: cmd });
-            });
+        let disposable = vscode.commands.registerCommand('vscode-dungeon-coder.startGame', async () => {
+            const session = await createSession(context);
+            await startServer();
+            if (serverUrl) {
+                vscode.window.showInformationMessage(`Enter the dungeon! Session ${session.id} is available at ${serverUrl}/sessions/${session.id}`);
+            }
         });
 
         context.subscriptions.push(disposable);
+
+        const replayDisposable = vscode.commands.registerCommand('vscode-dungeon-coder.replayTrace', async () => {
+            await replayTrace(context);
+        });
+
+        context.subscriptions.push(replayDisposable);
+
+        context.subscriptions.push(
+            vscode.commands.registerCommand('vscode-dungeon-coder.toggleDebugMode', toggleDebugMode),
+            vscode.commands.registerCommand('vscode-dungeon-coder.debugStep', () => getDebugSession()?.step()),
+            vscode.commands.registerCommand('vscode-dungeon-coder.debugContinue', () => getDebugSession()?.resume()),
+            vscode.commands.registerCommand('vscode-dungeon-coder.setBreakpoints', setBreakpoints)
+        );
+
+        context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('dungeonCoder.hud.visible')) {
+                updateHudVisibility();
+            }
+        }));
+    }
+}
+
+// The debug commands control the most recent session, like requests without a /sessions/<id> prefix.
+function getDebugSession(): GameSession | undefined {
+    const session = Array.from(sessions.values()).pop();
+    if (!session) {
+        vscode.window.showErrorMessage('Start Dungeon Coder first.');
+    }
+    return session;
+}
+
+function toggleDebugMode() {
+    const session = getDebugSession();
+    if (!session) {
+        return;
+    }
+    const enabled = !session.getDebugSettings().enabled;
+    session.setDebugSettings({ enabled });
+    vscode.window.showInformationMessage(enabled
+        ? `Debug mode of session ${session.id} enabled. Hero actions are held until you press Step or Continue.`
+        : `Debug mode of session ${session.id} disabled.`);
+}
+
+async function setBreakpoints() {
+    const session = getDebugSession();
+    if (!session) {
+        return;
+    }
+
+    const breakpoints = session.getDebugSettings().breakpoints;
+    const items: vscode.QuickPickItem[] = [
+        ...Object.entries(BREAKPOINT_CONDITIONS).map(([label, description]) => ({ label, description })),
+        ...HERO_ACTIONS.map(action => ({ label: `before_${action}`, description: `Pause before every ${action}` }))
+    ].map(item => ({ ...item, picked: breakpoints.includes(item.label) }));
+
+    const picked = await vscode.window.showQuickPick(items, {
+        canPickMany: true,
+        title: 'Pause the hero when'
+    });
+    if (!picked) {
+        return;
+    }
+
+    session.setDebugSettings({ enabled: true, breakpoints: picked.map(item => item.label) });
+    vscode.window.showInformationMessage(`Debug mode of session ${session.id} is enabled with ${picked.length} breakpoints.`);
+}
+
+async function pickJsonFile(title: string): Promise<vscode.Uri | undefined> {
+    const files = await vscode.window.showOpenDialog({ title, canSelectMany: false, filters: { 'JSON': ['json'] } });
+    return files?.[0];
+}
+
+// Plays back a trace recorded with GET /game/trace in the most recent session, e.g. for a tutor reviewing an attempt.
+async function replayTrace(context: vscode.ExtensionContext) {
+    const levelFile = await pickJsonFile('Select the level of the trace');
+    if (!levelFile) {
+        return;
+    }
+    const traceFile = await pickJsonFile('Select the trace');
+    if (!traceFile) {
+        return;
+    }
+
+    let level: any;
+    let trace: any;
+    try {
+        level = JSON.parse(fs.readFileSync(levelFile.fsPath, 'utf8'));
+        trace = JSON.parse(fs.readFileSync(traceFile.fsPath, 'utf8'));
+    } catch (error: any) {
+        vscode.window.showErrorMessage(`Replay files could not be read: ${error.message}`);
+        return;
+    }
+
+    const session = Array.from(sessions.values()).pop() ?? await createSession(context);
+    await startServer();
+
+    // The trace may also be the saved response of GET /game/trace
+    const response = await session.sendMessageToWebview({
+        command: 'replay',
+        data: { level, trace: Array.isArray(trace) ? trace : trace?.result }
+    });
+    if (!response.success) {
+        vscode.window.showErrorMessage(response.message);
+    }
+}
+
+function isHudVisible(): boolean {
+    return vscode.workspace.getConfiguration('dungeonCoder').get<boolean>('hud.visible', true);
+}
+
+// Shows or hides the HUD in all open sessions when the setting changes.
+async function updateHudVisibility() {
+    const visible = isHudVisible();
+    for (const session of sessions.values()) {
+        const response = await session.sendMessageToWebview({ command: 'set_hud', data: { visible } });
+        if (!response.success) {
+            console.warn(`HUD of session ${session.id} could not be updated: ${response.message}`);
+        }
     }
 }
 
@@ -293,6 +301,7 @@ async function getWebviewContent(webview: vscode.Webview, extensionPath: string)
     htmlContent = htmlContent.replace(/\$\{webview.cspSource\}/g, webview.cspSource);
     htmlContent = htmlContent.replace(/\$\{nonce\}/g, nonce);
     htmlContent = htmlContent.replace(/\$\{gameFolderUri\}/g, mediaFolderUri.toString());
+    htmlContent = htmlContent.replace(/\$\{hudVisible\}/g, String(isHudVisible()));
 
     return htmlContent;
 }
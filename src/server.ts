@@ -0,0 +1,660 @@
+import * as path from 'path';
+import * as fs from 'fs';
+import express from 'express';
+import { createServer, Server } from 'http'; 
+import { AddressInfo } from 'net';
+
+export const DISCOVERY_FILE_NAME = '.dungeoncoder';
+
+// Levels and traces sent for a replay exceed the default body limit of express.json.
+export const JSON_BODY_LIMIT = '10mb';
+
+export interface WebviewResponse {
+  success: boolean;
+  message: string;
+  exception: string;
+  result: any;
+}
+
+export interface GameEvent {
+  type: string;
+  timestamp: number;
+  data: any;
+}
+
+/**
+ * Debug mode of a session. Breakpoints are conditions like "facing_wall" or "before_<command>",
+ * e.g. "before_interact", that are checked by the game, see Simulation.checkBreakpoints().
+ */
+export interface DebugSettings {
+  enabled: boolean;
+  breakpoints: string[];
+}
+
+// Commands of the /hero/<action> endpoints.
+export const HERO_ACTIONS = [
+    'move',
+    'turn_left',
+    'turn_right',
+    'turn_around',
+    'face',
+    'interact',
+    'pick_up',
+    'drop'
+];
+
+// Conditions the game can break on besides "before_<command>", see Simulation.BREAKPOINT_CONDITIONS.
+export const BREAKPOINT_CONDITIONS: Record<string, string> = {
+    'facing_wall': 'The action targets a wall',
+    'facing_object': 'The action targets an object'
+};
+
+interface PendingWebviewRequest {
+  resolve: (result: WebviewResponse) => void;
+  timer: NodeJS.Timeout;
+}
+
+// Time in ms the webview has to answer a command before the request fails with a WebviewTimeout.
+const DEFAULT_COMMAND_TIMEOUT = 2000;
+const COMMAND_TIMEOUTS: Record<string, number> = {
+    'load_level': 10000,
+    'replay': 10000,
+    'reset_level': 5000,
+    // Hero actions are answered after their playback and may wait for earlier actions
+    'move': 5000,
+    'turn_left': 5000,
+    'turn_right': 5000,
+    'turn_around': 5000,
+    'face': 5000,
+    'interact': 5000,
+    'pick_up': 5000,
+    'drop': 5000
+};
+
+function createErrorResponse(message: string, exception: string): WebviewResponse {
+    return { success: false, message, exception, result: false };
+}
+
+/**
+ * A running game with its own webview, e.g. a VS Code panel or a browser tab.
+ * Every session is reachable through the API under /sessions/<id>/...
+ */
+export class GameSession {
+    private readonly pendingWebviewRequests = new Map<string, PendingWebviewRequest>();
+    private readonly eventClients = new Set<express.Response>();
+    private readonly ready: Promise<void>;
+    private markReady: () => void = () => {};
+    private debugSettings: DebugSettings = { enabled: false, breakpoints: [] };
+    private stepping = false;
+    private heroRequests: Promise<unknown> = Promise.resolve();
+    private releaseHeldRequest?: (send: boolean) => void;
+    private disposed = false;
+
+    /**
+     * @param id Id of the session in the API.
+     * @param postMessage Sends a message to the webview of the session.
+     */
+    constructor(readonly id: string, private readonly postMessage: (message: any) => void) {
+        // Messages are held back until the game in the webview has been set up
+        this.ready = new Promise(resolve => this.markReady = resolve);
+    }
+
+    async sendMessageToWebview(message: any): Promise<WebviewResponse> {
+        const requestId = Date.now().toString() + Math.random().toString(36).substring(2, 9);
+        const messageWithId = { ...message, requestId };
+        const timeout = COMMAND_TIMEOUTS[message.command] ?? DEFAULT_COMMAND_TIMEOUT;
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.pendingWebviewRequests.delete(requestId);
+                console.warn(`Webview did not answer command "${message.command}" within ${timeout} ms.`);
+                resolve(createErrorResponse(`Webview did not answer command "${message.command}" within ${timeout} ms.`, 'WebviewTimeout'));
+            }, timeout);
+
+            this.pendingWebviewRequests.set(requestId, { resolve, timer });
+            this.ready.then(() => {
+                if (this.pendingWebviewRequests.has(requestId)) {
+                    this.postMessage(messageWithId);
+                }
+            });
+        });
+    }
+
+    /**
+     * Sends a /hero/* command. In debug mode the actions of HERO_ACTIONS are sent one after the other and
+     * an action is held while stepping or if it hits a breakpoint, until step() or resume() is called.
+     * Sensors like /hero/state are never held.
+     */
+    sendHeroCommand(message: any): Promise<WebviewResponse> {
+        if (!this.debugSettings.enabled || !HERO_ACTIONS.includes(message.command)) {
+            return this.sendMessageToWebview(message);
+        }
+
+        const response = this.heroRequests.then(async () => {
+            if (!await this.waitForDebugger(message)) {
+                return createErrorResponse('Webview was closed before answering the request.', 'WebviewDisposed');
+            }
+            return this.sendMessageToWebview(message);
+        });
+        this.heroRequests = response;
+        return response;
+    }
+
+    // Resolves with false if the session was closed while the command was held.
+    private async waitForDebugger(message: any): Promise<boolean> {
+        if (this.disposed) {
+            return false;
+        }
+        if (!this.debugSettings.enabled) {
+            return true;
+        }
+
+        // The game decides whether to break since the conditions depend on the level
+        const check = await this.sendMessageToWebview({
+            command: 'debug_check',
+            data: { message, breakpoints: this.debugSettings.breakpoints, stepping: this.stepping }
+        });
+        if (!check.success || !check.result?.pause) {
+            return true;
+        }
+
+        this.stepping = true;
+        return new Promise(resolve => this.releaseHeldRequest = resolve);
+    }
+
+    private releaseHeldCommand(send: boolean) {
+        const release = this.releaseHeldRequest;
+        this.releaseHeldRequest = undefined;
+        release?.(send);
+    }
+
+    isPaused(): boolean {
+        return this.releaseHeldRequest !== undefined;
+    }
+
+    // Sends the held command and holds the next one.
+    step() {
+        this.releaseHeldCommand(true);
+    }
+
+    // Sends the held command and all following ones until the next breakpoint.
+    resume() {
+        this.stepping = false;
+        this.releaseHeldCommand(true);
+    }
+
+    getDebugSettings(): DebugSettings {
+        return { ...this.debugSettings, breakpoints: [...this.debugSettings.breakpoints] };
+    }
+
+    /**
+     * Enabling debug mode or changing the breakpoints holds the next hero action, or the first one
+     * hitting a breakpoint if there are any. Disabling it sends the held action.
+     * @param settings The settings to change, missing ones are kept.
+     */
+    setDebugSettings(settings: Partial<DebugSettings>) {
+        const wasEnabled = this.debugSettings.enabled;
+        this.debugSettings = {
+            enabled: settings.enabled ?? this.debugSettings.enabled,
+            breakpoints: settings.breakpoints ?? this.debugSettings.breakpoints
+        };
+        if (!this.debugSettings.enabled) {
+            this.resume();
+        } else if (!wasEnabled || settings.breakpoints !== undefined) {
+            this.stepping = this.debugSettings.breakpoints.length === 0;
+        }
+    }
+
+    handleWebviewResponse(requestId: string, response: WebviewResponse) {
+        const pendingRequest = this.pendingWebviewRequests.get(requestId);
+        if (pendingRequest) {
+            clearTimeout(pendingRequest.timer);
+            pendingRequest.resolve(response);
+            this.pendingWebviewRequests.delete(requestId);
+        }
+    }
+
+    // Handles a message sent by the webview, i.e. the answer to a command, a game event, a debug control or the notice that it is ready.
+    handleWebviewMessage(message: any) {
+        switch (message.command) {
+            case 'webviewReady':
+                this.markReady();
+                return;
+            case 'webviewResponse':
+                this.handleWebviewResponse(message.requestId, message.response);
+                return;
+            case 'gameEvent':
+                this.broadcastEvent(message.event);
+                return;
+            case 'debugControl':
+                if (message.action === 'step') {
+                    this.step();
+                } else if (message.action === 'continue') {
+                    this.resume();
+                }
+                return;
+        }
+    }
+
+    // Answers all requests still waiting for the webview, e.g. because the panel was closed.
+    rejectPendingRequests(message: string, exception: string) {
+        for (const pendingRequest of this.pendingWebviewRequests.values()) {
+            clearTimeout(pendingRequest.timer);
+            pendingRequest.resolve(createErrorResponse(message, exception));
+        }
+        this.pendingWebviewRequests.clear();
+    }
+
+    // Registers a Server-Sent Events client that receives all game events of this session.
+    addEventClient(res: express.Response) {
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+        res.write(`event: connected\ndata: ${JSON.stringify({ session: this.id })}\n\n`);
+
+        this.eventClients.add(res);
+        res.on('close', () => this.eventClients.delete(res));
+    }
+
+    broadcastEvent(event: GameEvent) {
+        const payload = `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+        for (const client of this.eventClients) {
+            client.write(payload);
+        }
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.releaseHeldCommand(false);
+        this.rejectPendingRequests('Webview was closed before answering the request.', 'WebviewDisposed');
+        for (const client of this.eventClients) {
+            client.end();
+        }
+        this.eventClients.clear();
+    }
+}
+
+function getSession(res: express.Response): GameSession {
+    return res.locals.session;
+}
+
+// Answers the game routes with 503 while no game is open to handle them.
+function requireSession(req: express.Request, res: express.Response, next: express.NextFunction) {
+    if (!res.locals.session) {
+        res.status(503).json({ status: 'error', message: 'Webview not open.', exception: 'WebViewNotOpen' });
+        return;
+    }
+    next();
+}
+
+function createGameRouter(): express.Router {
+    const router = express.Router();
+
+    // Hero actions are queued in the webview. The webview answers once the action
+    // including its animation has finished, so no waiting is needed here.
+    // All /hero/* requests go through sendHeroCommand so the debug mode can hold them.
+    HERO_ACTIONS.forEach((action_endpoint) => {
+        router.post(`/hero/${action_endpoint}`, requireSession, async (req, res) => {
+            try {
+                const response = await getSession(res).sendHeroCommand({
+                    command: action_endpoint,
+                    data: req.body ?? null
+                });
+                if (response.success) {
+                    res.status(200).json({ status: 'success', message: response.message, result: response.result });
+                } else {
+                    res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+                }
+            } catch (error: any) {
+                console.error('API Error:', error);
+                res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+            }
+        });
+    });
+
+    router.post('/hero/configure', requireSession, async (req, res) => {
+        try {
+            const config = req.body;
+            const response = await getSession(res).sendHeroCommand({
+                command: "configure",
+                data: config
+            });
+
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    const get_endpoints = [
+        'is_collision_in_front',
+        'is_facing_north',
+        'is_at_goal',
+        'is_torch_in_front',
+        'is_switch_in_front'
+    ];
+
+    get_endpoints.forEach((get_endpoint) => {
+        router.get(`/hero/${get_endpoint}`, requireSession, async (req, res) => {
+            try {
+                const response = await getSession(res).sendHeroCommand({
+                    command: get_endpoint,
+                    data: null
+                });
+                if (response.success) {
+                    res.status(200).json({ status: 'success', message: response.message, result: response.result });
+                } else {
+                    res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+                }
+            } catch (error: any) {
+                console.error('API Error:', error);
+                res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+            }
+        });
+    });
+
+    router.get('/hero/state', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendHeroCommand({ command: 'get_state', data: null });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.get('/hero/inventory', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendHeroCommand({ command: 'get_inventory', data: null });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.get('/hero/look', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendHeroCommand({
+                command: 'look',
+                data: { direction: req.query.dir ?? 'front' }
+            });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.get('/level/map', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendMessageToWebview({ command: 'get_map', data: null });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.get('/level/objectives', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendMessageToWebview({ command: 'get_objectives', data: null });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.post('/level/load', requireSession, async (req, res) => {
+        const level = req.body; 
+        
+        try {
+            const response = await getSession(res).sendMessageToWebview({ command: 'load_level', data: level });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.post('/level/reset', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendMessageToWebview({ command: 'reset_level', data: null });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.get('/game/speed', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendMessageToWebview({ command: 'get_speed', data: null });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.post('/game/speed', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendMessageToWebview({ command: 'set_speed', data: { speed: req.body?.speed } });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.get('/game/trace', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendMessageToWebview({ command: 'get_trace', data: null });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.post('/game/replay', requireSession, async (req, res) => {
+        try {
+            const response = await getSession(res).sendMessageToWebview({ command: 'replay', data: { level: req.body?.level, trace: req.body?.trace } });
+            if (response.success) {
+                res.status(200).json({ status: 'success', message: response.message, result: response.result });
+            } else {
+                res.status(500).json({ status: 'error', message: response.message, exception: response.exception });
+            }
+        } catch (error: any) {
+            console.error('API Error:', error);
+            res.status(500).json({ status: 'error', message: `Internal server error: ${error.message}` });
+        }
+    });
+
+    router.get('/game/debug', requireSession, (req, res) => {
+        const session = getSession(res);
+        res.status(200).json({ status: 'success', message: 'Debug settings read successfully.', result: { ...session.getDebugSettings(), paused: session.isPaused() } });
+    });
+
+    router.post('/game/debug', requireSession, (req, res) => {
+        const { enabled, breakpoints } = req.body ?? {};
+        if ((enabled !== undefined && typeof enabled !== 'boolean') ||
+            (breakpoints !== undefined && (!Array.isArray(breakpoints) || !breakpoints.every(breakpoint => typeof breakpoint === 'string')))) {
+            res.status(400).json({ status: 'error', message: 'Expected {"enabled": boolean, "breakpoints": [string]}.', exception: 'InvalidArgument' });
+            return;
+        }
+        const session = getSession(res);
+        session.setDebugSettings({ enabled, breakpoints });
+        res.status(200).json({ status: 'success', message: 'Debug settings changed successfully.', result: { ...session.getDebugSettings(), paused: session.isPaused() } });
+    });
+
+    router.get('/events', requireSession, (req, res) => {
+        getSession(res).addEventClient(res);
+    });
+
+    return router;
+}
+
+/**
+ * Creates the REST API for all sessions. Requests without a /sessions/<id> prefix
+ * go to the most recently started session.
+ * @param sessions The running sessions by their id.
+ */
+export function createApiRouter(sessions: Map<string, GameSession>): express.Router {
+    const router = express.Router();
+    const gameRouter = createGameRouter();
+
+    router.get('/sessions', (req, res) => {
+        res.status(200).json({ status: 'success', message: 'Sessions listed successfully.', result: Array.from(sessions.keys()) });
+    });
+
+    router.use('/sessions/:sessionId', (req, res, next) => {
+        const sessionId = req.params.sessionId as string;
+        const session = sessions.get(sessionId);
+        if (!session) {
+            res.status(404).json({ status: 'error', message: `Session "${sessionId}" not found.`, exception: 'SessionNotFound' });
+            return;
+        }
+        res.locals.session = session;
+        next();
+    }, gameRouter);
+
+    // Requests without a session id go to the game opened last
+    router.use((req, res, next) => {
+        res.locals.session = Array.from(sessions.values()).pop();
+        next();
+    }, gameRouter);
+
+    router.use((req, res) => {
+        res.status(404).json({ status: 'error', message: `No endpoint ${req.method} ${req.path}.`, exception: 'NotFound' });
+    });
+
+    return router;
+}
+
+// Starts listening on the given port. If the port is taken, the OS picks a free one instead.
+export function listenWithFallback(app: express.Express, port: number, host: string): Promise<Server> {
+    const listen = (listenPort: number) => new Promise<Server>((resolve, reject) => {
+        const server = createServer(app);
+        server.once('error', reject);
+        server.listen(listenPort, host, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+
+    return listen(port).catch((error: NodeJS.ErrnoException) => {
+        if (error.code !== 'EADDRINUSE') {
+            throw error;
+        }
+        console.warn(`Port ${port} is already in use. Falling back to a free port.`);
+        return listen(0);
+    });
+}
+
+export function getServerUrl(server: Server, host: string): string {
+    const address = server.address() as AddressInfo;
+    const urlHost = (host === '0.0.0.0' || host === '::') ? 'localhost' : host;
+    return `http://${urlHost}:${address.port}`;
+}
+
+/**
+ * Checks the origin of a page that opens the game WebSocket, so other websites cannot
+ * control the game. Allowed are the game served by this server and index.html opened as
+ * a file, which browsers report as "null".
+ * @param host The address the server listens on.
+ * @param requestHost The Host header of the request, used if the server listens on all addresses.
+ */
+export function isAllowedOrigin(origin: string | undefined, serverUrl: string, host: string, requestHost: string | undefined): boolean {
+    if (origin === 'null' || origin === 'file://') {
+        return true;
+    }
+    if (!origin) {
+        return false;
+    }
+    const port = new URL(serverUrl).port;
+    const allowedOrigins = [serverUrl, `http://localhost:${port}`, `http://127.0.0.1:${port}`, `http://[::1]:${port}`];
+    if ((host === '0.0.0.0' || host === '::') && requestHost) {
+        allowedOrigins.push(`http://${requestHost}`);
+    }
+    return allowedOrigins.includes(origin);
+}
+
+/**
+ * Writes the file the Python API reads the address of the server from.
+ * @returns The path of the file or undefined if it could not be written.
+ */
+export function writeDiscoveryFile(directory: string, server: Server, url: string, sessionIds: string[]): string | undefined {
+    const discovery = {
+        url: url,
+        port: (server.address() as AddressInfo).port,
+        pid: process.pid,
+        sessions: sessionIds
+    };
+
+    const filePath = path.join(directory, DISCOVERY_FILE_NAME);
+    try {
+        fs.writeFileSync(filePath, JSON.stringify(discovery, null, 2));
+        return filePath;
+    } catch (error: any) {
+        console.error(`Could not write discovery file: ${error.message}`);
+        return undefined;
+    }
+}
+
+export function removeDiscoveryFile(filePath: string) {
+    try {
+        fs.unlinkSync(filePath);
+    } catch (error: any) {
+        console.error(`Could not remove discovery file: ${error.message}`);
+    }
+}
@@ -0,0 +1,82 @@
+import * as assert from 'assert';
+import express from 'express';
+import { Server } from 'http';
+import { GameSession, createApiRouter, getServerUrl, listenWithFallback } from '../../server';
+import { createFakeSession, restoreGameLogs, silenceGameLogs, successResponse } from './helpers';
+
+suite('REST API Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	const sessions = new Map<string, GameSession>();
+	let server: Server;
+	let url: string;
+
+	suiteSetup(async () => {
+		const app = express();
+		app.use(express.json());
+		app.use(createApiRouter(sessions));
+		server = await listenWithFallback(app, 0, '127.0.0.1');
+		url = getServerUrl(server, '127.0.0.1');
+	});
+
+	suiteTeardown(() => {
+		server.close();
+	});
+
+	teardown(() => {
+		sessions.forEach(session => session.dispose());
+		sessions.clear();
+	});
+
+	// Adds a session whose game answers every command with the id of the session
+	function addSession(id: string) {
+		sessions.set(id, createFakeSession(() => successResponse(id), id).session);
+	}
+
+	async function request(method: string, path: string): Promise<{ status: number, body: any }> {
+		const response = await fetch(`${url}${path}`, { method });
+		return { status: response.status, body: await response.json() };
+	}
+
+	test('Lists the sessions', async () => {
+		addSession('1');
+		addSession('2');
+
+		const { status, body } = await request('GET', '/sessions');
+		assert.strictEqual(status, 200);
+		assert.deepStrictEqual(body.result, ['1', '2']);
+	});
+
+	test('Routes requests to the session in the path or to the latest one', async () => {
+		addSession('1');
+		addSession('2');
+
+		assert.strictEqual((await request('GET', '/sessions/1/hero/state')).body.result, '1');
+		assert.strictEqual((await request('POST', '/sessions/2/hero/move')).body.result, '2');
+		assert.strictEqual((await request('GET', '/hero/state')).body.result, '2');
+	});
+
+	test('Answers 404 for an unknown session', async () => {
+		addSession('1');
+
+		const { status, body } = await request('GET', '/sessions/7/hero/state');
+		assert.strictEqual(status, 404);
+		assert.strictEqual(body.exception, 'SessionNotFound');
+	});
+
+	test('Answers 503 for game routes while no game is open', async () => {
+		const { status, body } = await request('POST', '/hero/move');
+		assert.strictEqual(status, 503);
+		assert.strictEqual(body.exception, 'WebViewNotOpen');
+	});
+
+	test('Answers 404 for unknown paths', async () => {
+		addSession('1');
+		for (const path of ['/nope', '/hero/fly', '/sessions/1/nope']) {
+			const { status, body } = await request('GET', path);
+			assert.strictEqual(status, 404, path);
+			assert.strictEqual(body.exception, 'NotFound', path);
+		}
+	});
+});
@@ -0,0 +1,61 @@
+import * as assert from 'assert';
+import { HERO_START, loadHeadlessGame, restoreGameLogs, send, sendAll, silenceGameLogs } from './helpers';
+
+suite('Debugger Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	// Asks the game whether the debugger holds a hero command, like the extension does before sending it
+	async function check(game: any, command: string, breakpoints: string[], stepping = false, data: any = null): Promise<any> {
+		const [response] = await sendAll(game, [['debug_check', { message: { command, data }, breakpoints, stepping }]]);
+		return response.result;
+	}
+
+	test('Pauses before a hero action aimed at a wall', async () => {
+		const game = await loadHeadlessGame();
+
+		assert.strictEqual((await check(game, 'move', ['facing_wall'])).pause, false);
+		await sendAll(game, ['move']);
+
+		const result = await check(game, 'move', ['facing_wall']);
+		assert.strictEqual(result.pause, true);
+		assert.deepStrictEqual(result.target, { col: HERO_START.col, row: HERO_START.row + 2, direction: 'south', wall: true, object: null });
+	});
+
+	test('Pauses before a hero action aimed at an object', async () => {
+		const game = await loadHeadlessGame();
+
+		const result = await check(game, 'face', ['facing_object'], false, { direction: 'west' });
+		assert.strictEqual(result.pause, true);
+		assert.strictEqual(result.target.object, 'Switch');
+		assert.strictEqual(result.target.wall, false);
+	});
+
+	test('Pauses before the commands named by a breakpoint', async () => {
+		const game = await loadHeadlessGame();
+
+		assert.strictEqual((await check(game, 'move', ['before_interact'])).pause, false);
+		const result = await check(game, 'interact', ['before_interact']);
+		assert.strictEqual(result.pause, true);
+		assert.strictEqual(result.reason, 'Breakpoint before interact.');
+	});
+
+	test('Pauses before every command while stepping', async () => {
+		const game = await loadHeadlessGame();
+
+		assert.strictEqual((await check(game, 'get_state', [], true)).pause, true);
+		assert.strictEqual((await check(game, 'move', [], true)).pause, true);
+	});
+
+	test('Releases the held command with the next command and keeps checks out of the trace', async () => {
+		const game = await loadHeadlessGame();
+
+		await check(game, 'move', [], true);
+		assert.strictEqual(game.getPendingAction().command, 'move');
+		await sendAll(game, ['move']);
+		assert.strictEqual(game.getPendingAction(), null);
+
+		const trace = (await send(game, 'get_trace')).result;
+		assert.deepStrictEqual(trace.map((entry: any) => entry.command), ['load_level', 'move']);
+	});
+});
@@ -0,0 +1,102 @@
+import * as assert from 'assert';
+import { GOAL, GOAL_DOOR_ID, HERO_START, LEVEL1_SOLUTION, importGameModule, loadHeadlessGame, restoreGameLogs, send, sendAll, silenceGameLogs } from './helpers';
+
+suite('Headless Game Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	test('Loads level1 with the hero at its start tile', async () => {
+		const game = await loadHeadlessGame();
+		const { Simulation } = await importGameModule('engine.js');
+
+		assert.strictEqual(game.currentGameState, Simulation.GAME_STATE.PLAYING);
+		assert.deepStrictEqual(game.getHeroPosition(), HERO_START);
+		assert.strictEqual(game.getSpeed(), 'instant');
+	});
+
+	test('Moves the hero one tile and reports a blocked way', async () => {
+		const game = await loadHeadlessGame();
+
+		const move = await send(game, 'move');
+		assert.strictEqual(move.result, true);
+		assert.deepStrictEqual(game.getHeroPosition(), { ...HERO_START, row: HERO_START.row + 1 });
+
+		// The bottom wall of the room is below the hero now
+		const blocked = await send(game, 'move');
+		assert.strictEqual(blocked.success, true);
+		assert.strictEqual(blocked.result, false);
+		assert.strictEqual(game.getHeroPosition().row, HERO_START.row + 1);
+	});
+
+	test('Turns the hero left, right, around and to a direction', async () => {
+		const game = await loadHeadlessGame();
+		const direction = () => game.getHeroPosition().direction;
+
+		await sendAll(game, ['turn_left']);
+		assert.strictEqual(direction(), 'east');
+		await sendAll(game, ['turn_right']);
+		assert.strictEqual(direction(), 'south');
+		await sendAll(game, ['turn_around']);
+		assert.strictEqual(direction(), 'north');
+		await sendAll(game, [['face', { direction: 'west' }]]);
+		assert.strictEqual(direction(), 'west');
+
+		const invalid = await send(game, 'face', { direction: 'up' });
+		assert.strictEqual(invalid.success, false);
+		assert.strictEqual(invalid.exception, 'InvalidArgument');
+	});
+
+	test('Looks at the tiles around the hero', async () => {
+		const game = await loadHeadlessGame();
+
+		const right = await send(game, 'look', { direction: 'right' });
+		assert.strictEqual(right.result.direction, 'west');
+		assert.strictEqual(right.result.collision, true);
+		assert.strictEqual(right.result.object.type, 'Switch');
+
+		const front = await send(game, 'look', { direction: 'front' });
+		assert.deepStrictEqual(front.result, { direction: 'south', collision: false, object: null });
+
+		const invalid = await send(game, 'look', { direction: 'up' });
+		assert.strictEqual(invalid.exception, 'InvalidArgument');
+	});
+
+	test('Resets the level to its initial state', async () => {
+		const game = await loadHeadlessGame();
+		await sendAll(game, LEVEL1_SOLUTION.slice(0, 5));
+		assert.strictEqual(game.level.getObjectById(GOAL_DOOR_ID).getState(), 'open');
+
+		const reset = await send(game, 'reset_level');
+		assert.strictEqual(reset.result, true);
+		assert.deepStrictEqual(game.getHeroPosition(), HERO_START);
+		assert.strictEqual(game.level.getObjectById(GOAL_DOOR_ID).getState(), 'closed');
+		assert.strictEqual((await send(game, 'get_state')).result.actionCounters.moves, 0);
+	});
+
+	test('Completes level1 once the hero reaches the goal', async () => {
+		const game = await loadHeadlessGame();
+		const { Simulation } = await importGameModule('engine.js');
+
+		await sendAll(game, LEVEL1_SOLUTION.slice(0, -1));
+		assert.strictEqual(game.isComplete(), false);
+		assert.strictEqual((await send(game, 'is_at_goal')).result, false);
+
+		await sendAll(game, LEVEL1_SOLUTION.slice(-1));
+		assert.deepStrictEqual(game.getHeroPosition(), { ...GOAL, direction: 'north' });
+		assert.strictEqual((await send(game, 'is_at_goal')).result, true);
+		assert.strictEqual(game.isComplete(), true);
+		assert.strictEqual(game.currentGameState, Simulation.GAME_STATE.LEVEL_COMPLETE);
+	});
+
+	test('Configures the name and type of the hero', async () => {
+		const game = await loadHeadlessGame();
+
+		const configure = await send(game, 'configure', { name: 'Bob', typeNumber: 3 });
+		assert.strictEqual(configure.success, true);
+		assert.strictEqual(configure.message, 'Hero configured successfully.');
+
+		const state = await send(game, 'get_state');
+		assert.strictEqual(state.result.name, 'Bob');
+		assert.strictEqual(state.result.typeNumber, 3);
+	});
+});
@@ -0,0 +1,162 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { GameSession, WebviewResponse } from '../../server';
+
+export const GAME_FOLDER = path.join(__dirname, '..', '..', '..', 'game');
+
+// First global tile ids of the tilesets used by the levels in game/assets/levels
+export const GID_16X16 = 1;
+export const GID_16X32 = 553;
+export const TILE_SIZE = 16;
+
+// Tiles of the 16x16 tileset by their game object type
+export const PRESSURE_PLATE_GID = GID_16X16 + 360;
+export const KEY_GID = GID_16X16 + 362;
+export const SPIKES_GID = GID_16X16 + 280;
+export const SWITCH_GID = GID_16X16 + 380;
+export const FIRE_GID = GID_16X16 + 365;
+export const GOAL_GID = GID_16X16 + 432;
+export const LOCKED_DOOR_GID = GID_16X32 + 42;
+
+// Hero and objects of level1.json
+export const HERO_START = { col: 15, row: 10, direction: 'south' };
+export const GOAL = { col: 13, row: 2 };
+export const GOAL_DOOR_ID = 9;
+export const GOAL_DOOR_SWITCH_ID = 47;
+
+// Opens the door with the switch next to the hero and walks to the goal of level1
+export const LEVEL1_SOLUTION: Array<string | [string, any]> = [
+	['face', { direction: 'west' }],
+	'interact',
+	['face', { direction: 'north' }],
+	'move', 'move', 'move', 'move', 'move', 'move', 'move',
+	['face', { direction: 'west' }],
+	'move', 'move',
+	['face', { direction: 'north' }],
+	'move'
+];
+
+/**
+ * Imports a module of the game. The game is written as ES modules without type
+ * declarations, so it is loaded at runtime.
+ * @param name File name in game/src, e.g. "engine.js".
+ */
+export function importGameModule(name: string): Promise<any> {
+	return import(pathToFileURL(path.join(GAME_FOLDER, 'src', name)).href);
+}
+
+export function readLevel(name = 'level1.json'): any {
+	return JSON.parse(fs.readFileSync(path.join(GAME_FOLDER, 'assets', 'levels', name), 'utf8'));
+}
+
+/**
+ * Sets a map property of a level, like the properties set in Tiled.
+ * @param type Tiled type of the property, e.g. "bool", "int" or "string".
+ */
+export function setLevelProperty(levelData: any, name: string, type: string, value: any) {
+	levelData.properties = (levelData.properties ?? []).filter((property: any) => property.name !== name);
+	levelData.properties.push({ name, type, value });
+}
+
+/**
+ * Adds an object to the object layer of the hero.
+ * @param object Tiled properties of the object, e.g. gid and properties. The position is given as tile.
+ * @returns The id of the new object.
+ */
+export function addLevelObject(levelData: any, object: { col: number, row: number, height?: number, [key: string]: any }): number {
+	const layer = levelData.layers.find((candidate: any) => candidate.type === 'objectgroup' &&
+		candidate.objects.some((levelObject: any) => levelObject.name === 'MainCharacter'));
+	const { col, row, height = TILE_SIZE, ...properties } = object;
+	const id = levelData.nextobjectid++;
+	layer.objects.push({
+		id,
+		name: '',
+		type: '',
+		visible: true,
+		rotation: 0,
+		width: TILE_SIZE,
+		height,
+		x: col * TILE_SIZE,
+		y: (row + 1) * TILE_SIZE,  // Tiled positions tile objects by their bottom left corner
+		...properties
+	});
+	return id;
+}
+
+/**
+ * Creates a headless game and loads a level into it. Hero actions are resolved instantly.
+ * @param levelData The Tiled JSON of the level, level1 if omitted.
+ */
+export async function loadHeadlessGame(levelData: any = readLevel()): Promise<any> {
+	const { createHeadlessGame } = await importGameModule('headless.js');
+	const game = createHeadlessGame(GAME_FOLDER);
+	const response = await game.processCommand({ command: 'load_level', data: levelData });
+	assert.ok(response.success, response.message);
+	return game;
+}
+
+// Sends an API command to the game like the webview does for a REST request.
+export function send(game: any, command: string, data: any = null): Promise<any> {
+	return game.processCommand({ command, data });
+}
+
+/**
+ * Sends API commands one after the other and fails on the first unsuccessful response.
+ * @returns The responses of all commands.
+ */
+export async function sendAll(game: any, commands: Array<string | [string, any]>): Promise<any[]> {
+	const responses = [];
+	for (const command of commands) {
+		const [name, data] = Array.isArray(command) ? command : [command, null];
+		const response = await send(game, name, data);
+		assert.ok(response.success, `${name}: ${response.message}`);
+		responses.push(response);
+	}
+	return responses;
+}
+
+// The engine logs every command. Keeps the output of the test runner readable.
+const consoleMethods = { log: console.log, warn: console.warn, error: console.error };
+
+export function silenceGameLogs() {
+	console.log = () => {};
+	console.warn = () => {};
+	console.error = () => {};
+}
+
+export function restoreGameLogs() {
+	Object.assign(console, consoleMethods);
+}
+
+/**
+ * Creates a game session whose webview is faked by a function. The session is ready at once.
+ * @param answer Answers a message sent to the webview. Messages it returns undefined for stay unanswered.
+ * @returns The session and all messages sent to the webview.
+ */
+export function createFakeSession(answer: (message: any) => WebviewResponse | undefined, id = '1'): { session: GameSession, sent: any[] } {
+	const sent: any[] = [];
+	const session = new GameSession(id, message => {
+		sent.push(message);
+		const response = answer(message);
+		if (response) {
+			setImmediate(() => session.handleWebviewMessage({ command: 'webviewResponse', requestId: message.requestId, response }));
+		}
+	});
+	session.handleWebviewMessage({ command: 'webviewReady' });
+	return { session, sent };
+}
+
+export function successResponse(result: any = true): WebviewResponse {
+	return { success: true, message: '', exception: '', result };
+}
+
+// Waits until a condition holds, e.g. until a session has sent a message to its webview.
+export async function waitFor(condition: () => boolean, timeout = 1000) {
+	const start = Date.now();
+	while (!condition()) {
+		assert.ok(Date.now() - start < timeout, 'Condition not met in time.');
+		await new Promise(resolve => setImmediate(resolve));
+	}
+}
@@ -0,0 +1,35 @@
+import * as assert from 'assert';
+import { loadHeadlessGame, readLevel, restoreGameLogs, sendAll, setLevelProperty, silenceGameLogs } from './helpers';
+
+suite('Heads-up Display Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	test('Shows the hero of the configured type facing south', async () => {
+		const game = await loadHeadlessGame();
+		const hero = game.character;
+
+		await sendAll(game, ['turn_left']);
+		assert.strictEqual(hero.getPortraitTile(), hero.tileMap.get(`standing_south_${hero.typeNumber}`));
+		assert.notStrictEqual(hero.getPortraitTile(), hero.tile);
+
+		await sendAll(game, [['configure', { name: 'Bob', typeNumber: 3 }]]);
+		assert.strictEqual(hero.getPortraitTile(), hero.tileMap.get('standing_south_3'));
+	});
+
+	test('Counts the actions against the budgets of the level', async () => {
+		const levelData = readLevel();
+		setLevelProperty(levelData, 'max_moves', 'int', 5);
+		const game = await loadHeadlessGame(levelData);
+
+		await sendAll(game, ['move', 'turn_left', 'is_at_goal']);
+		const counters = game.getCharacterInterface().getActionCounters();
+		assert.deepStrictEqual(counters, { moves: 1, turns: 1, interactions: 0, commands: 2 });
+		assert.strictEqual(game.level.getActionBudget('moves'), 5);
+		assert.strictEqual(game.level.getActionBudget('turns'), null);
+
+		// The HUD gets a copy, drawing it cannot change the counters
+		counters.moves = 0;
+		assert.strictEqual(game.getCharacterInterface().getActionCounters().moves, 1);
+	});
+});
@@ -0,0 +1,111 @@
+import * as assert from 'assert';
+import { GOAL_DOOR_ID, GOAL_DOOR_SWITCH_ID, HERO_START, KEY_GID, LOCKED_DOOR_GID, PRESSURE_PLATE_GID, SWITCH_GID, addLevelObject, loadHeadlessGame, readLevel, restoreGameLogs, send, sendAll, setLevelProperty, silenceGameLogs } from './helpers';
+
+suite('Game Objects Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	test('Switch toggles the door wired to it', async () => {
+		const game = await loadHeadlessGame();
+		const door = game.level.getObjectById(GOAL_DOOR_ID);
+
+		await sendAll(game, [['face', { direction: 'west' }], 'interact']);
+		assert.strictEqual(door.getState(), 'open');
+		await sendAll(game, ['interact']);
+		assert.strictEqual(door.getState(), 'closed');
+	});
+
+	test('Stops a signal that runs in a circle', async () => {
+		const levelData = readLevel();
+		const firstSwitch = levelData.layers.flatMap((layer: any) => layer.objects ?? []).find((object: any) => object.id === GOAL_DOOR_SWITCH_ID);
+		const secondSwitchId = addLevelObject(levelData, {
+			gid: SWITCH_GID, col: HERO_START.col + 1, row: HERO_START.row,
+			properties: [{ name: 'controls', type: 'object', value: GOAL_DOOR_SWITCH_ID }]
+		});
+		firstSwitch.properties = [{ name: 'controls', type: 'object', value: secondSwitchId }];
+		const game = await loadHeadlessGame(levelData);
+		const states = () => [GOAL_DOOR_SWITCH_ID, secondSwitchId].map(id => game.level.getObjectById(id).getState());
+		const initialStates = states();
+
+		await sendAll(game, [['face', { direction: 'west' }], 'interact']);
+		// Every switch flips, the wiring stops the signal instead of toggling forever
+		states().forEach((state, index) => assert.notStrictEqual(state, initialStates[index]));
+		assert.strictEqual(game.level.getObjectById(GOAL_DOOR_ID).getState(), 'closed');
+	});
+
+	test('Pressure plate opens a door with a logic gate while the hero stands on it', async () => {
+		const levelData = readLevel();
+		const doorDescription = levelData.layers.flatMap((layer: any) => layer.objects ?? []).find((object: any) => object.id === GOAL_DOOR_ID);
+		doorDescription.properties = [{ name: 'logic', type: 'string', value: 'OR' }];
+		const plateId = addLevelObject(levelData, {
+			gid: PRESSURE_PLATE_GID, col: HERO_START.col, row: HERO_START.row + 1,
+			properties: [{ name: 'controls', type: 'object', value: GOAL_DOOR_ID }]
+		});
+		const game = await loadHeadlessGame(levelData);
+		const door = game.level.getObjectById(GOAL_DOOR_ID);
+
+		await sendAll(game, ['move']);
+		assert.strictEqual(game.level.getObjectById(plateId).getState(), 'pressed');
+		assert.strictEqual(door.getState(), 'open');
+
+		await sendAll(game, ['turn_around', 'move']);
+		assert.strictEqual(game.level.getObjectById(plateId).getState(), 'released');
+		assert.strictEqual(door.getState(), 'closed');
+	});
+
+	test('Locked door opens only with the matching key', async () => {
+		const levelData = readLevel();
+		const doorId = addLevelObject(levelData, {
+			gid: LOCKED_DOOR_GID, col: HERO_START.col + 1, row: HERO_START.row, height: 32,
+			properties: [{ name: 'key', type: 'string', value: 'gold' }]
+		});
+		addLevelObject(levelData, {
+			gid: KEY_GID, col: HERO_START.col, row: HERO_START.row + 1,
+			properties: [{ name: 'key', type: 'string', value: 'gold' }]
+		});
+		const game = await loadHeadlessGame(levelData);
+		const door = game.level.getObjectById(doorId);
+
+		await sendAll(game, [['face', { direction: 'east' }]]);
+		assert.strictEqual((await send(game, 'interact')).result, false);
+		assert.strictEqual(door.getState(), 'locked');
+
+		await sendAll(game, [['face', { direction: 'south' }], 'pick_up', ['face', { direction: 'east' }], 'interact']);
+		assert.strictEqual(door.getState(), 'open');
+	});
+
+	test('Picks up, lists and drops items', async () => {
+		const levelData = readLevel();
+		addLevelObject(levelData, {
+			gid: KEY_GID, col: HERO_START.col, row: HERO_START.row + 1,
+			properties: [{ name: 'key', type: 'string', value: 'gold' }]
+		});
+		const game = await loadHeadlessGame(levelData);
+
+		const [pickUp] = await sendAll(game, ['pick_up']);
+		assert.deepStrictEqual(pickUp.result, [{ type: 'Key', name: 'gold' }]);
+		assert.deepStrictEqual((await send(game, 'get_inventory')).result, [{ type: 'Key', name: 'gold' }]);
+		assert.deepStrictEqual((await send(game, 'pick_up')).result, []);
+
+		const notCarried = await send(game, 'drop', { item: 'Coin' });
+		assert.strictEqual(notCarried.exception, 'ItemNotCarried');
+
+		const [drop] = await sendAll(game, [['drop', { item: 'Key:gold' }]]);
+		assert.strictEqual(drop.result, true);
+		assert.deepStrictEqual((await send(game, 'get_inventory')).result, []);
+		assert.strictEqual((await send(game, 'look')).result.object.type, 'Key');
+	});
+
+	test('Does not count a drop of an item the hero does not carry', async () => {
+		const levelData = readLevel();
+		setLevelProperty(levelData, 'max_interactions', 'int', 2);
+		addLevelObject(levelData, { gid: KEY_GID, col: HERO_START.col, row: HERO_START.row + 1 });
+		const game = await loadHeadlessGame(levelData);
+
+		await sendAll(game, ['pick_up']);
+		assert.strictEqual((await send(game, 'drop', { item: 'Coin' })).exception, 'ItemNotCarried');
+		const [drop] = await sendAll(game, [['drop', { item: 'Key' }]]);
+		assert.strictEqual(drop.result, true);
+		assert.strictEqual((await send(game, 'get_state')).result.actionCounters.interactions, 2);
+	});
+});
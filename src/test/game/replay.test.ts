@@ -0,0 +1,100 @@
+import * as assert from 'assert';
+import { HERO_START, LEVEL1_SOLUTION, loadHeadlessGame, readLevel, restoreGameLogs, send, sendAll, silenceGameLogs } from './helpers';
+
+suite('Trace Replay Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	async function recordTrace(commands: Array<string | [string, any]>): Promise<any[]> {
+		const game = await loadHeadlessGame();
+		await sendAll(game, commands);
+		return (await send(game, 'get_trace')).result;
+	}
+
+	test('Records the commands with the position of the hero', async () => {
+		const trace = await recordTrace(['move', 'turn_left']);
+
+		assert.deepStrictEqual(trace.map((entry: any) => entry.command), ['load_level', 'move', 'turn_left']);
+		assert.strictEqual(trace[0].data, null);
+		assert.deepStrictEqual(trace[2].hero, { ...HERO_START, row: HERO_START.row + 1, direction: 'east' });
+	});
+
+	test('Replays a trace step by step and rejects other commands meanwhile', async () => {
+		const trace = await recordTrace(LEVEL1_SOLUTION);
+		const game = await loadHeadlessGame();
+
+		const replay = await send(game, 'replay', { level: readLevel(), trace });
+		assert.strictEqual(replay.result, trace.length);
+		assert.strictEqual((await send(game, 'move')).exception, 'ReplayRunning');
+
+		const replayer = game.getReplay();
+		const steps = [];
+		while (!replayer.isFinished()) {
+			steps.push(await replayer.step());
+		}
+		assert.ok(steps.every(step => step.matches));
+		assert.strictEqual(game.isComplete(), true);
+	});
+
+	test('Seeks forward and back in a trace', async () => {
+		const trace = await recordTrace(['move', 'turn_left', 'turn_left']);
+		const game = await loadHeadlessGame();
+		await sendAll(game, [['set_speed', { speed: '4x' }], ['replay', { level: readLevel(), trace }]]);
+		const replayer = game.getReplay();
+
+		await replayer.seek(3);
+		assert.deepStrictEqual(game.getHeroPosition(), trace[2].hero);
+		await replayer.seek(1);
+		assert.strictEqual(replayer.getPosition(), 1);
+		assert.deepStrictEqual(game.getHeroPosition(), HERO_START);
+		assert.strictEqual(game.getSpeed(), '4x');
+	});
+
+	test('Restores the speed if seeking fails', async () => {
+		const trace = await recordTrace(['move', 'turn_left']);
+		const game = await loadHeadlessGame();
+		await sendAll(game, [['set_speed', { speed: '4x' }], ['replay', { level: readLevel(), trace }]]);
+
+		game.executeCommand = async () => {
+			throw new Error('Command failed');
+		};
+		await assert.rejects(game.getReplay().seek(3), /Command failed/);
+		assert.strictEqual(game.getSpeed(), '4x');
+	});
+
+	async function playToEnd(commands: Array<string | [string, any]>): Promise<any> {
+		const trace = await recordTrace(commands);
+		const game = await loadHeadlessGame();
+		await sendAll(game, [['replay', { level: readLevel(), trace }]]);
+		await game.getReplay().seek(trace.length);
+		assert.strictEqual(game.getReplay().isFinished(), true);
+		assert.strictEqual((await send(game, 'move')).exception, 'ReplayRunning');
+		return game;
+	}
+
+	test('Stops a replay when a level is loaded', async () => {
+		const game = await playToEnd(['move']);
+
+		await sendAll(game, [['load_level', readLevel()], 'turn_left']);
+		assert.strictEqual(game.getReplay(), null);
+		assert.deepStrictEqual(game.getHeroPosition(), { ...HERO_START, direction: 'east' });
+	});
+
+	test('Stops a replay when the level is reset', async () => {
+		const game = await playToEnd(['move']);
+
+		await sendAll(game, ['reset_level', 'turn_left']);
+		assert.strictEqual(game.getReplay(), null);
+		assert.deepStrictEqual(game.getHeroPosition(), { ...HERO_START, direction: 'east' });
+	});
+
+	test('Replaces a replay with a new one', async () => {
+		const game = await playToEnd(['move']);
+		const finished = game.getReplay();
+		const trace = await recordTrace(['turn_left']);
+
+		await sendAll(game, [['replay', { level: readLevel(), trace }]]);
+		assert.notStrictEqual(game.getReplay(), finished);
+		assert.strictEqual(game.getReplay().getPosition(), 0);
+	});
+});
@@ -0,0 +1,109 @@
+import * as assert from 'assert';
+import { FIRE_GID, GOAL_GID, HERO_START, KEY_GID, addLevelObject, importGameModule, loadHeadlessGame, readLevel, restoreGameLogs, send, sendAll, setLevelProperty, silenceGameLogs } from './helpers';
+
+suite('Level Rules Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	test('Rejects commands the level does not allow', async () => {
+		const levelData = readLevel();
+		setLevelProperty(levelData, 'allowed_commands', 'string', 'move, turn_left, turn_right, get_state');
+		setLevelProperty(levelData, 'allow_turn_right', 'bool', false);
+		const game = await loadHeadlessGame(levelData);
+
+		await sendAll(game, ['move', 'turn_left', 'get_state']);
+		assert.strictEqual((await send(game, 'turn_right')).exception, 'CommandNotAllowed');
+		assert.strictEqual((await send(game, 'look')).exception, 'CommandNotAllowed');
+	});
+
+	test('Rejects actions beyond the budget of the level', async () => {
+		const levelData = readLevel();
+		setLevelProperty(levelData, 'max_turns', 'int', 1);
+		const game = await loadHeadlessGame(levelData);
+
+		await sendAll(game, ['turn_left']);
+		const rejected = await send(game, 'turn_right');
+		assert.strictEqual(rejected.success, false);
+		assert.strictEqual(rejected.exception, 'ActionBudgetExceeded');
+		assert.strictEqual(game.getHeroPosition().direction, 'east');
+	});
+
+	test('Completes the level once all objectives are reached', async () => {
+		const levelData = readLevel();
+		setLevelProperty(levelData, 'objective_collect_items', 'int', 1);
+		setLevelProperty(levelData, 'objective_collect_type', 'string', 'Key');
+		addLevelObject(levelData, { gid: KEY_GID, col: HERO_START.col, row: HERO_START.row + 1 });
+		const game = await loadHeadlessGame(levelData);
+		const { Simulation } = await importGameModule('engine.js');
+
+		const [objectives] = await sendAll(game, ['get_objectives']);
+		assert.deepStrictEqual(objectives.result.map((objective: any) => [objective.id, objective.complete]), [['collect_items', false]]);
+
+		await sendAll(game, ['pick_up']);
+		assert.strictEqual((await send(game, 'get_objectives')).result[0].complete, true);
+		assert.strictEqual(game.currentGameState, Simulation.GAME_STATE.LEVEL_COMPLETE);
+	});
+
+	test('Does not complete a level that only limits the steps', async () => {
+		const levelData = readLevel();
+		for (const layer of levelData.layers) {
+			layer.objects = layer.objects?.filter((object: any) => object.gid !== GOAL_GID);
+		}
+		setLevelProperty(levelData, 'objective_max_steps', 'int', 5);
+		const game = await loadHeadlessGame(levelData);
+		const { Simulation } = await importGameModule('engine.js');
+
+		assert.strictEqual(game.level.goal, null);
+		assert.strictEqual(game.isComplete(), false);
+		await sendAll(game, ['move']);
+		assert.strictEqual((await send(game, 'get_objectives')).result[0].complete, true);
+		assert.strictEqual(game.currentGameState, Simulation.GAME_STATE.PLAYING);
+	});
+
+	test('Kills the hero on a hazard and ends the level', async () => {
+		const levelData = readLevel();
+		addLevelObject(levelData, { gid: FIRE_GID, col: HERO_START.col, row: HERO_START.row + 1 });
+		const game = await loadHeadlessGame(levelData);
+		const { Simulation } = await importGameModule('engine.js');
+
+		const move = await send(game, 'move');
+		assert.strictEqual(move.exception, 'HeroDied');
+		assert.strictEqual(game.currentGameState, Simulation.GAME_STATE.GAME_OVER);
+		assert.strictEqual((await send(game, 'get_state')).result.alive, false);
+		assert.strictEqual((await send(game, 'turn_left')).exception, 'HeroDied');
+
+		await sendAll(game, ['reset_level']);
+		assert.strictEqual(game.currentGameState, Simulation.GAME_STATE.PLAYING);
+		assert.strictEqual((await send(game, 'get_state')).result.alive, true);
+	});
+
+	test('Moves patrolling enemies with every hero action', async () => {
+		const levelData = readLevel();
+		const hero = levelData.layers.flatMap((layer: any) => layer.objects ?? []).find((object: any) => object.name === 'MainCharacter');
+		const enemyId = addLevelObject(levelData, {
+			gid: hero.gid, type: 'Enemy', name: 'orc', col: HERO_START.col + 2, row: HERO_START.row,
+			properties: [{ name: 'patrol', type: 'string', value: 'west, west, east, east' }]
+		});
+		const game = await loadHeadlessGame(levelData);
+		const enemy = game.level.getObjectById(enemyId);
+		const enemyCol = () => game.level.getTilePosition(enemy.x + 8, enemy.y - 8).col;
+
+		await sendAll(game, ['turn_left']);
+		assert.strictEqual(enemyCol(), HERO_START.col + 1);
+		assert.strictEqual((await send(game, 'is_collision_in_front')).result, true);
+
+		const turn = await send(game, 'turn_right');
+		assert.strictEqual(turn.exception, 'HeroDied');
+		assert.strictEqual(game.character.causeOfDeath, 'Enemy');
+	});
+
+	test('Sets the playback speed', async () => {
+		const game = await loadHeadlessGame();
+
+		assert.strictEqual((await send(game, 'set_speed', { speed: '4x' })).result, '4x');
+		assert.strictEqual((await send(game, 'get_speed')).result, '4x');
+		const invalid = await send(game, 'set_speed', { speed: '2x' });
+		assert.strictEqual(invalid.exception, 'InvalidArgument');
+		assert.strictEqual(game.getSpeed(), '4x');
+	});
+});
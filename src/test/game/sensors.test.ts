@@ -0,0 +1,53 @@
+import * as assert from 'assert';
+import { GOAL, HERO_START, loadHeadlessGame, readLevel, restoreGameLogs, send, sendAll, setLevelProperty, silenceGameLogs } from './helpers';
+
+suite('Hero Sensors Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	test('Reports the state of the hero with its action counters', async () => {
+		const game = await loadHeadlessGame();
+		await sendAll(game, ['move', 'turn_left', ['face', { direction: 'west' }]]);
+
+		const state = await send(game, 'get_state');
+		assert.deepStrictEqual(state.result, {
+			col: HERO_START.col,
+			row: HERO_START.row + 1,
+			direction: 'west',
+			moving: false,
+			alive: true,
+			name: 'Alina',
+			typeNumber: 7,
+			actionCounters: { moves: 1, turns: 2, interactions: 0, commands: 3 }
+		});
+	});
+
+	test('Answers the yes/no sensors about the tile in front', async () => {
+		const game = await loadHeadlessGame();
+
+		assert.strictEqual((await send(game, 'is_switch_in_front')).result, false);
+		assert.strictEqual((await send(game, 'is_collision_in_front')).result, false);
+		assert.strictEqual((await send(game, 'is_facing_north')).result, false);
+
+		await sendAll(game, [['face', { direction: 'west' }]]);
+		assert.strictEqual((await send(game, 'is_switch_in_front')).result, true);
+		assert.strictEqual((await send(game, 'is_collision_in_front')).result, true);
+		assert.strictEqual((await send(game, 'is_torch_in_front')).result, false);
+	});
+
+	test('Hides the map unless the level reveals it', async () => {
+		const hidden = await send(await loadHeadlessGame(), 'get_map');
+		assert.strictEqual(hidden.success, false);
+		assert.strictEqual(hidden.exception, 'MapNotAvailable');
+
+		const levelData = readLevel();
+		setLevelProperty(levelData, 'map_visible', 'bool', true);
+		const map = (await send(await loadHeadlessGame(levelData), 'get_map')).result;
+		assert.strictEqual(map.width, 30);
+		assert.strictEqual(map.height, 20);
+		assert.deepStrictEqual(map.goal, GOAL);
+		assert.strictEqual(map.grid[HERO_START.row + 2][HERO_START.col], true);
+		assert.strictEqual(map.grid[HERO_START.row + 1][HERO_START.col], false);
+		assert.ok(map.objects.some((object: any) => object.type === 'Switch' && object.col === HERO_START.col - 1 && object.row === HERO_START.row));
+	});
+});
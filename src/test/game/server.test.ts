@@ -0,0 +1,78 @@
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import express from 'express';
+import { Server, createServer } from 'http';
+import { AddressInfo } from 'net';
+import { getServerUrl, isAllowedOrigin, listenWithFallback, removeDiscoveryFile, writeDiscoveryFile } from '../../server';
+import { restoreGameLogs, silenceGameLogs } from './helpers';
+
+suite('Server Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	const servers: Server[] = [];
+	teardown(() => {
+		servers.splice(0).forEach(server => server.close());
+	});
+
+	async function listen(port: number, host = '127.0.0.1'): Promise<Server> {
+		const server = await listenWithFallback(express(), port, host);
+		servers.push(server);
+		return server;
+	}
+
+	const getPort = (server: Server) => (server.address() as AddressInfo).port;
+
+	test('Falls back to a free port if the port is taken', async () => {
+		const blocker = createServer();
+		servers.push(blocker);
+		await new Promise<void>(resolve => blocker.listen(0, '127.0.0.1', resolve));
+
+		const server = await listen(getPort(blocker));
+		assert.ok(getPort(server) > 0);
+		assert.notStrictEqual(getPort(server), getPort(blocker));
+	});
+
+	test('Reports the URL of the server', async () => {
+		const server = await listen(0);
+
+		assert.strictEqual(getServerUrl(server, '127.0.0.1'), `http://127.0.0.1:${getPort(server)}`);
+		assert.strictEqual(getServerUrl(server, '0.0.0.0'), `http://localhost:${getPort(server)}`);
+	});
+
+	test('Writes and removes the discovery file', async () => {
+		const server = await listen(0);
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dungeon-coder-'));
+		const url = getServerUrl(server, '127.0.0.1');
+
+		const filePath = writeDiscoveryFile(directory, server, url, ['1', '2']);
+		assert.ok(filePath);
+		const discovery = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		assert.deepStrictEqual(discovery, { url, port: getPort(server), pid: process.pid, sessions: ['1', '2'] });
+
+		removeDiscoveryFile(filePath);
+		assert.strictEqual(fs.existsSync(filePath), false);
+		fs.rmdirSync(directory);
+	});
+
+	test('Allows game WebSockets only from the game and from index.html opened as a file', () => {
+		const serverUrl = 'http://127.0.0.1:8000';
+
+		for (const origin of [serverUrl, 'http://localhost:8000', 'http://[::1]:8000', 'null', 'file://']) {
+			assert.strictEqual(isAllowedOrigin(origin, serverUrl, '127.0.0.1', '127.0.0.1:8000'), true, origin);
+		}
+		for (const origin of ['http://evil.example', 'http://localhost:9000', 'https://127.0.0.1:8000', undefined]) {
+			assert.strictEqual(isAllowedOrigin(origin, serverUrl, '127.0.0.1', '127.0.0.1:8000'), false, origin);
+		}
+	});
+
+	test('Allows the address a browser used if the server listens on all addresses', () => {
+		const serverUrl = 'http://localhost:8000';
+
+		assert.strictEqual(isAllowedOrigin('http://192.168.1.20:8000', serverUrl, '0.0.0.0', '192.168.1.20:8000'), true);
+		assert.strictEqual(isAllowedOrigin('http://192.168.1.20:8000', serverUrl, '127.0.0.1', '192.168.1.20:8000'), false);
+		assert.strictEqual(isAllowedOrigin('http://evil.example', serverUrl, '0.0.0.0', '192.168.1.20:8000'), false);
+	});
+});
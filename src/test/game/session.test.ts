@@ -0,0 +1,100 @@
+import * as assert from 'assert';
+import { createFakeSession, restoreGameLogs, silenceGameLogs, successResponse, waitFor } from './helpers';
+
+suite('Game Session Test Suite', () => {
+	suiteSetup(silenceGameLogs);
+	suiteTeardown(restoreGameLogs);
+
+	test('Answers a command the webview does not answer with WebviewTimeout', async function () {
+		this.timeout(5000);
+		const { session, sent } = createFakeSession(() => undefined);
+
+		const response = await session.sendMessageToWebview({ command: 'get_state' });
+		assert.strictEqual(response.success, false);
+		assert.strictEqual(response.exception, 'WebviewTimeout');
+		assert.match(response.message, /within 2000 ms/);
+
+		// A late answer is ignored
+		session.handleWebviewResponse(sent[0].requestId, successResponse());
+	});
+
+	test('Answers pending commands with WebviewDisposed when the session is closed', async () => {
+		const { session, sent } = createFakeSession(() => undefined);
+
+		const responses = [session.sendMessageToWebview({ command: 'move' }), session.sendMessageToWebview({ command: 'get_state' })];
+		await waitFor(() => sent.length === 2);
+		session.dispose();
+		for (const response of await Promise.all(responses)) {
+			assert.strictEqual(response.exception, 'WebviewDisposed');
+		}
+	});
+
+	// Breaks like the game, on "before_<command>" breakpoints and while stepping
+	function createDebugSession() {
+		return createFakeSession(message => {
+			if (message.command === 'debug_check') {
+				const { message: heroMessage, breakpoints, stepping } = message.data;
+				return successResponse({ pause: stepping || breakpoints.includes(`before_${heroMessage.command}`), reason: '', target: null });
+			}
+			return successResponse();
+		});
+	}
+
+	const sentCommands = (sent: any[]) => sent.map(message => message.command).filter(command => command !== 'debug_check');
+
+	test('Holds hero actions in debug mode until step or continue', async () => {
+		const { session, sent } = createDebugSession();
+		session.setDebugSettings({ enabled: true });
+
+		const first = session.sendHeroCommand({ command: 'move' });
+		const second = session.sendHeroCommand({ command: 'turn_left' });
+		await waitFor(() => session.isPaused());
+		assert.deepStrictEqual(sentCommands(sent), []);
+
+		session.step();
+		assert.strictEqual((await first).success, true);
+		await waitFor(() => session.isPaused());
+		assert.deepStrictEqual(sentCommands(sent), ['move']);
+
+		session.resume();
+		assert.strictEqual((await second).success, true);
+		assert.deepStrictEqual(sentCommands(sent), ['move', 'turn_left']);
+		assert.strictEqual(session.isPaused(), false);
+	});
+
+	test('Does not hold the sensors of the hero', async () => {
+		const { session, sent } = createDebugSession();
+		session.setDebugSettings({ enabled: true });
+
+		assert.strictEqual((await session.sendHeroCommand({ command: 'get_state' })).success, true);
+		assert.strictEqual((await session.sendHeroCommand({ command: 'is_at_goal' })).success, true);
+		assert.deepStrictEqual(sent.map(message => message.command), ['get_state', 'is_at_goal']);
+		assert.strictEqual(session.isPaused(), false);
+	});
+
+	test('Stops stepping once breakpoints are set', async () => {
+		const { session, sent } = createDebugSession();
+		session.setDebugSettings({ enabled: true });
+		session.setDebugSettings({ enabled: true, breakpoints: ['before_interact'] });
+
+		assert.strictEqual((await session.sendHeroCommand({ command: 'move' })).success, true);
+		const interact = session.sendHeroCommand({ command: 'interact' });
+		await waitFor(() => session.isPaused());
+		assert.deepStrictEqual(sentCommands(sent), ['move']);
+
+		session.setDebugSettings({ enabled: false });
+		assert.strictEqual((await interact).success, true);
+		assert.deepStrictEqual(sentCommands(sent), ['move', 'interact']);
+	});
+
+	test('Answers a held hero action when the session is closed', async () => {
+		const { session, sent } = createDebugSession();
+		session.setDebugSettings({ enabled: true });
+
+		const move = session.sendHeroCommand({ command: 'move' });
+		await waitFor(() => session.isPaused());
+		session.dispose();
+		assert.strictEqual((await move).exception, 'WebviewDisposed');
+		assert.deepStrictEqual(sentCommands(sent), []);
+	});
+});
@@ -3,6 +3,7 @@
 'use strict';
 
 const path = require('path');
+const webpack = require('webpack');
 
 //@ts-check
 /** @typedef {import('webpack').Configuration} WebpackConfig **/
@@ -45,4 +46,23 @@ const extensionConfig = {
     level: "log", // enables logging required for problem matchers
   },
 };
-module.exports = [ extensionConfig ];
\ No newline at end of file
+
+/** @type WebpackConfig */
+const cliConfig = {
+  ...extensionConfig,
+  entry: './src/cli.ts', // the standalone server started by the dungeon-coder command (see bin in package.json)
+  output: {
+    path: path.resolve(__dirname, 'dist'),
+    filename: 'cli.js',
+    libraryTarget: 'commonjs2'
+  },
+  externals: {
+    // optional native add-ons of ws, it falls back to JavaScript without them
+    bufferutil: 'commonjs bufferutil',
+    'utf-8-validate': 'commonjs utf-8-validate'
+  },
+  plugins: [
+    new webpack.BannerPlugin({ banner: '#!/usr/bin/env node', raw: true })
+  ],
+};
+module.exports = [ extensionConfig, cliConfig ];
\ No newline at end of file